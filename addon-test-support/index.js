@@ -0,0 +1,213 @@
+import Ember from 'ember';
+import { buildWaiter } from '@ember/test-waiters';
+import { getContext, getRootElement, waitUntil } from '@ember/test-helpers';
+
+const STATES = ['pending', 'resolved', 'rejected'];
+
+const waiter = buildWaiter('ember-async-await-helper:controlled-promise');
+
+/**
+  Creates a promise that is resolved or rejected by the test, for passing to
+  `{{#async-await}}`.
+
+  ```js
+  let { promise, resolve } = createControlledPromise();
+
+  this.set('promise', promise);
+  await render(hbs`{{#async-await this.promise useTestWaiters=false as |value|}}{{value}}{{/async-await}}`);
+
+  resolve('value');
+  await settled();
+  ```
+
+  Pass `waiter: true` to register the promise with `@ember/test-waiters`
+  until it settles, so that `settled()` (and so `render()`, `click()`, etc.)
+  waits for it. This is useful when the promise is settled by something other
+  than the test itself.
+
+  @method createControlledPromise
+  @param {Object} [options]
+  @param {Boolean} [options.waiter=false]
+  @param {String} [options.label]
+  @returns {Object} an object with the `promise`, its `resolve` and `reject`
+    functions, and whether it `isSettled`
+*/
+export function createControlledPromise({
+  waiter: shouldWait = false,
+  label,
+} = {}) {
+  let token = shouldWait ? waiter.beginAsync(label) : null;
+  let controlled = { isSettled: false };
+
+  let settle = (callback) => (value) => {
+    if (controlled.isSettled) {
+      return;
+    }
+
+    controlled.isSettled = true;
+    callback(value);
+
+    if (token) {
+      waiter.endAsync(token);
+    }
+  };
+
+  controlled.promise = new Promise((resolve, reject) => {
+    controlled.resolve = settle(resolve);
+    controlled.reject = settle(reject);
+  });
+
+  return controlled;
+}
+
+function flatten(nodes, result = []) {
+  for (let node of nodes) {
+    result.push(node);
+    flatten(node.children, result);
+  }
+
+  return result;
+}
+
+function isRenderedWithin(element, { firstNode, lastNode }) {
+  let start = firstNode.compareDocumentPosition(element);
+  let end = lastNode.compareDocumentPosition(element);
+
+  return (
+    (element === firstNode ||
+      start & Node.DOCUMENT_POSITION_FOLLOWING ||
+      start & Node.DOCUMENT_POSITION_CONTAINED_BY) &&
+    (element === lastNode ||
+      end & Node.DOCUMENT_POSITION_PRECEDING ||
+      end & Node.DOCUMENT_POSITION_CONTAINED_BY) &&
+    !(start & Node.DOCUMENT_POSITION_CONTAINS)
+  );
+}
+
+function findComponent(selector) {
+  let { owner } = getContext();
+  let element =
+    selector === undefined
+      ? getRootElement()
+      : getRootElement().querySelector(selector);
+
+  if (!element) {
+    return undefined;
+  }
+
+  let containing;
+
+  // `captureRenderTree` is not importable from `@ember/debug` before Ember 3.27
+  for (let node of flatten(Ember._captureRenderTree(owner))) {
+    if (node.type !== 'component' || node.name !== 'async-await') {
+      continue;
+    }
+
+    if (element.contains(node.bounds.firstNode)) {
+      // The first component within the element
+      return node.instance;
+    } else if (isRenderedWithin(element, node.bounds)) {
+      // Keep looking for a more deeply nested component
+      containing = node.instance;
+    }
+  }
+
+  return containing;
+}
+
+function stateNameFor(state) {
+  if (state.isRejected) {
+    return 'rejected';
+  } else if (state.isResolved) {
+    return 'resolved';
+  } else {
+    return 'pending';
+  }
+}
+
+function assertValidState(state) {
+  if (STATES.indexOf(state) === -1) {
+    throw new Error(
+      `\`${state}\` is not a valid state, expected one of: ${STATES.join(', ')}`
+    );
+  }
+}
+
+/**
+  Returns the state object (as yielded with `yieldState=true`) of the
+  `{{#async-await}}` component that renders the element matching the given
+  selector, or, if there is none, the first one rendered within that element.
+  Without a selector, returns the state of the first component in the test's
+  root element. Returns `undefined` if there is no such component.
+
+  @method getAsyncAwaitState
+  @param {String} [selector]
+  @returns {Object | undefined}
+*/
+export function getAsyncAwaitState(selector) {
+  let component = findComponent(selector);
+  return component ? component.state : undefined;
+}
+
+/**
+  Waits until the `{{#async-await}}` component found by `selector` (see
+  `getAsyncAwaitState`) is in the given state: `pending`, `resolved` or
+  `rejected`. Any other options are passed to `waitUntil`.
+
+  ```js
+  await waitForAsyncAwait('[data-test-users]', 'resolved');
+  ```
+
+  @method waitForAsyncAwait
+  @param {String} selector
+  @param {String} state
+  @param {Object} [options]
+  @returns {Promise}
+*/
+export function waitForAsyncAwait(selector, state, options = {}) {
+  assertValidState(state);
+
+  return waitUntil(
+    () => {
+      let current = getAsyncAwaitState(selector);
+      return current !== undefined && stateNameFor(current) === state;
+    },
+    {
+      timeoutMessage: `waiting for {{#async-await}} at \`${selector}\` to be ${state}`,
+      ...options,
+    }
+  );
+}
+
+/**
+  Adds an `asyncAwaitState` assertion to the given QUnit `assert` object (e.g.
+  `QUnit.assert` in `tests/test-helper.js`), which asserts the state of the
+  `{{#async-await}}` component found by `selector` (see
+  `getAsyncAwaitState`).
+
+  ```js
+  assert.asyncAwaitState('[data-test-users]', 'pending');
+  ```
+
+  @method setupAsyncAwaitAssertions
+  @param {Object} assert
+*/
+export function setupAsyncAwaitAssertions(assert) {
+  assert.asyncAwaitState = function (selector, expected, message) {
+    assertValidState(expected);
+
+    let state = getAsyncAwaitState(selector);
+    let actual = state === undefined ? undefined : stateNameFor(state);
+
+    this.pushResult({
+      result: actual === expected,
+      actual,
+      expected,
+      message:
+        message ||
+        `{{#async-await}} at \`${
+          selector || 'the root element'
+        }\` is ${expected}`,
+    });
+  };
+}
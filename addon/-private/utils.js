@@ -0,0 +1,454 @@
+import { assert } from '@ember/debug';
+import { VERSION } from '@ember/version';
+import Ember from 'ember';
+import RSVP from 'rsvp';
+
+/**
+  Used for uninitialized values so that we can distinguish them from values that
+  were intentionally set to `null`/`undefined` in the console.
+
+  @private
+  @method UNINITIALIZED
+  @returns undefined
+*/
+export function UNINITIALIZED() {}
+
+/**
+  The initial awaited argument, which is different from any argument that can
+  be passed in (including `undefined`), so that the first one is always
+  awaited.
+
+  @private
+  @property NOT_AWAITED
+  @type Object
+*/
+export const NOT_AWAITED = Object.freeze({});
+
+/**
+  Reports an unhandled rejection by wrapping the reason in an error with the
+  given message, and calling `Ember.onerror` with it, or `console.assert` if
+  there is no `Ember.onerror`.
+
+  @private
+  @method reportRejection
+  @param {any} reason
+  @param {String} message
+*/
+export function reportRejection(reason, message) {
+  try {
+    let error = new Error(message);
+    error.reason = reason;
+    throw error;
+  } catch (error) {
+    if (typeof Ember.onerror === 'function') {
+      Ember.onerror(error);
+    } else {
+      console.assert(false, error); // eslint-disable-line no-console
+    }
+  }
+}
+
+let hashProto;
+
+if (VERSION.startsWith('2.')) {
+  // Glimmer in older version of Ember does some weird things in creating an empty "hash",
+  // so we have to jump through some hoops to get the correct prototype.
+  hashProto = Object.getPrototypeOf(
+    Ember.__loader.require('@glimmer/util').dict()
+  );
+} else {
+  // The `hash` helper creates an object with `Object.create(null)` which will have no
+  // prototype.
+  hashProto = null;
+}
+
+export function isHash(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    Object.getPrototypeOf(value) === hashProto
+  );
+}
+
+/**
+  Whether the given arguments are the same, i.e. identical, or arrays or
+  hashes with identical items. Before Ember 3.25, `(hash)` and `(array)`
+  create a new object every time a helper is computed, even if their items
+  have not changed.
+
+  @private
+  @method isSameArgument
+  @param {any} a
+  @param {any} b
+  @returns Boolean
+*/
+export function isSameArgument(a, b) {
+  if (a === b) {
+    return true;
+  } else if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => item === b[index]);
+  } else if (isHash(a) && isHash(b)) {
+    let keys = Object.keys(a);
+
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && a[key] === b[key])
+    );
+  } else {
+    return false;
+  }
+}
+
+const ARRAY_MODES = ['all', 'allSettled', 'race'];
+const HASH_MODES = {
+  all: RSVP.hash,
+  hashSettled: RSVP.hashSettled,
+  progressive,
+};
+
+export function isThenable(value) {
+  return (
+    value !== null &&
+    (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function'
+  );
+}
+
+const PENDING_KEY = Object.freeze({
+  isPending: true,
+  isResolved: false,
+  isRejected: false,
+  value: undefined,
+  reason: undefined,
+});
+
+function resolvedKey(value) {
+  return { ...PENDING_KEY, isPending: false, isResolved: true, value };
+}
+
+function rejectedKey(reason) {
+  return { ...PENDING_KEY, isPending: false, isRejected: true, reason };
+}
+
+/**
+  Turns a hash of promises into a stream (see `isStream`) of hashes with the
+  state of each key, i.e. `{ isPending, isResolved, isRejected, value, reason }`.
+  The first hash is emitted right away, then a new one every time one of the
+  promises settles, and the stream completes once all of them have settled.
+
+  @private
+  @method progressive
+  @param {Object} hash
+  @returns Object
+*/
+function progressive(hash) {
+  let observable = {
+    '@@observable'() {
+      return observable;
+    },
+
+    subscribe({ next, complete }) {
+      let isUnsubscribed = false;
+      let keys = Object.keys(hash).filter((key) => isThenable(hash[key]));
+      let remaining = keys.length;
+      let current = {};
+
+      Object.keys(hash).forEach((key) => {
+        current[key] = isThenable(hash[key])
+          ? PENDING_KEY
+          : resolvedKey(hash[key]);
+      });
+
+      let update = (key, state) => {
+        if (isUnsubscribed) {
+          return;
+        }
+
+        current = { ...current, [key]: state };
+        next(current);
+
+        if (--remaining === 0) {
+          complete();
+        }
+      };
+
+      next(current);
+
+      if (remaining === 0) {
+        complete();
+      }
+
+      keys.forEach((key) => {
+        RSVP.resolve(hash[key]).then(
+          (value) => update(key, resolvedKey(value)),
+          (reason) => update(key, rejectedKey(reason))
+        );
+      });
+
+      return () => {
+        isUnsubscribed = true;
+      };
+    },
+  };
+
+  return observable;
+}
+
+/**
+  Combines an array or hash of promises into a single promise according to the
+  given `mode`. Arrays can be combined with `all` (the default), `allSettled`
+  or `race`; hashes with `all` (the default, i.e. `RSVP.hash`), `hashSettled`
+  or `progressive` (which returns a stream, see `progressive`). Arrays without
+  any promises in them are returned as-is in `all` mode, as is any other value.
+
+  @private
+  @method combine
+  @param {any} value
+  @param {String} [mode='all']
+  @returns any
+*/
+export function combine(value, mode = 'all') {
+  if (Array.isArray(value)) {
+    assert(
+      `\`${mode}\` is not a valid mode for an array, expected one of: ${ARRAY_MODES.join(
+        ', '
+      )}`,
+      ARRAY_MODES.indexOf(mode) !== -1
+    );
+
+    // An array without any promises in it resolves to an identical copy of
+    // itself with `all`, so yield the array itself instead, to keep in-place
+    // changes to it (e.g. with `pushObject`) visible in the block.
+    if (mode === 'all' && !value.some(isThenable)) {
+      return value;
+    }
+
+    return RSVP[mode](value);
+  } else if (isHash(value)) {
+    return combineHash(value, mode);
+  } else {
+    return value;
+  }
+}
+
+/**
+  Combines a hash of promises (which does not need to come from the `hash`
+  helper) into a single promise according to the given `mode`, see `combine`.
+
+  @private
+  @method combineHash
+  @param {Object} hash
+  @param {String} [mode='all']
+  @returns any
+*/
+export function combineHash(hash, mode = 'all') {
+  assert(
+    `\`${mode}\` is not a valid mode for a hash, expected one of: ${Object.keys(
+      HASH_MODES
+    ).join(', ')}`,
+    mode in HASH_MODES
+  );
+
+  if (mode === 'all') {
+    // Unlike `RSVP.all`, `RSVP.hash` never resolves synchronously, which
+    // would defeat `peekResolved`.
+    let resolved = peekResolvedHash(hash);
+
+    if (resolved) {
+      return resolved;
+    }
+  }
+
+  return HASH_MODES[mode](hash);
+}
+
+// RSVP's (private) state for fulfilled promises.
+const RSVP_FULFILLED = 1;
+
+// Whether RSVP promises expose their (private) state and result the way
+// `peekResolved` expects, checked once against a promise that is known to be
+// fulfilled. Otherwise, only promises passed to `trackSettled` are peeked.
+const CAN_PEEK_RSVP = (() => {
+  let value = {};
+  let promise = RSVP.resolve(value);
+
+  return promise._state === RSVP_FULFILLED && promise._result === value;
+})();
+
+const RESOLVED_VALUES = new WeakMap();
+
+/**
+  Remembers the resolved value of the given promise once it resolves, so that
+  `peekResolved` knows about it. See `trackSettled` in
+  `ember-async-await-helper/settled`.
+
+  @private
+  @method trackSettled
+  @param {Promise} promise
+  @returns Promise
+*/
+export function trackSettled(promise) {
+  promise.then(
+    (value) => RESOLVED_VALUES.set(promise, value),
+    () => {}
+  );
+
+  return promise;
+}
+
+/**
+  Returns an object with the resolved `value` of the given value if it is
+  already known, i.e. it is not a promise at all, is a fulfilled RSVP promise
+  (see `CAN_PEEK_RSVP`), or is a promise passed to `trackSettled` that has since resolved. Otherwise,
+  returns `undefined`, and the value has to be awaited.
+
+  @private
+  @method peekResolved
+  @param {any} value
+  @returns Object | undefined
+*/
+export function peekResolved(value) {
+  if (!isThenable(value)) {
+    return { value };
+  } else if (RESOLVED_VALUES.has(value)) {
+    return { value: RESOLVED_VALUES.get(value) };
+  } else if (
+    CAN_PEEK_RSVP &&
+    value instanceof RSVP.Promise &&
+    value._state === RSVP_FULFILLED
+  ) {
+    return { value: value._result };
+  } else {
+    return undefined;
+  }
+}
+
+function peekResolvedHash(hash) {
+  let result = {};
+
+  for (let key of Object.keys(hash)) {
+    let resolved = peekResolved(hash[key]);
+
+    if (!resolved) {
+      return undefined;
+    }
+
+    result[key] = resolved.value;
+  }
+
+  return result;
+}
+
+/**
+  Returns the method that converts the given value into an observable, as
+  defined by the [Observable proposal](https://github.com/tc39/proposal-observable)
+  and implemented by RxJS and others, i.e. `Symbol.observable` (or
+  `@@observable` where that symbol is not defined), if it has one.
+
+  @private
+  @method observableMethodOf
+  @param {Object} value
+  @returns Function | null
+*/
+function observableMethodOf(value) {
+  if (
+    typeof Symbol.observable === 'symbol' &&
+    typeof value[Symbol.observable] === 'function'
+  ) {
+    return value[Symbol.observable];
+  } else if (typeof value['@@observable'] === 'function') {
+    return value['@@observable'];
+  } else {
+    return null;
+  }
+}
+
+/**
+  Whether the given value is a stream of values rather than a single (possibly
+  promised) value, i.e. an async iterable, or an observable (see
+  `observableMethodOf`). Other objects with a `subscribe` method, such as a
+  Redux store, are not streams.
+
+  @private
+  @method isStream
+  @param {any} value
+  @returns Boolean
+*/
+export function isStream(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+
+  return (
+    (typeof Symbol.asyncIterator === 'symbol' &&
+      typeof value[Symbol.asyncIterator] === 'function') ||
+    observableMethodOf(value) !== null
+  );
+}
+
+/**
+  Starts consuming the given stream (see `isStream`), calling `next` with each
+  emitted value, then either `complete` or `error`. Returns a function that
+  stops the stream, i.e. returns the async iterator or unsubscribes from the
+  observable.
+
+  @private
+  @method subscribe
+  @param {AsyncIterable | Object} stream
+  @param {Object} observer
+  @returns Function
+*/
+export function subscribe(stream, { next, error, complete }) {
+  let observableMethod = observableMethodOf(stream);
+
+  if (observableMethod) {
+    let observable = observableMethod.call(stream);
+    let subscription = observable.subscribe({ next, error, complete });
+
+    return () => {
+      if (typeof subscription === 'function') {
+        subscription();
+      } else if (
+        subscription &&
+        typeof subscription.unsubscribe === 'function'
+      ) {
+        subscription.unsubscribe();
+      }
+    };
+  }
+
+  let iterator = stream[Symbol.asyncIterator]();
+  let isStopped = false;
+
+  let pull = () => {
+    iterator.next().then(
+      (result) => {
+        if (isStopped) {
+          return;
+        } else if (result.done) {
+          complete();
+        } else {
+          next(result.value);
+          pull();
+        }
+      },
+      (reason) => {
+        if (!isStopped) {
+          error(reason);
+        }
+      }
+    );
+  };
+
+  pull();
+
+  return () => {
+    isStopped = true;
+
+    if (typeof iterator.return === 'function') {
+      // The iterator may still be awaiting the next value, in which case the
+      // result of returning it is of no interest to us.
+      Promise.resolve(iterator.return()).catch(() => {});
+    }
+  };
+}
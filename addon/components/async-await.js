@@ -1,64 +1,305 @@
-/* eslint-disable ember/no-component-lifecycle-hooks */
-/* eslint-disable ember/no-classic-classes */
-/* eslint-disable ember/no-classic-components */
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { createCache, getValue } from '@glimmer/tracking/primitives/cache';
+import { getOwner } from '@ember/application';
+import { action } from '@ember/object';
+import { bind, cancel, later, schedule } from '@ember/runloop';
+import { inject as service } from '@ember/service';
+import { buildWaiter } from '@ember/test-waiters';
+import { AbortError, TimeoutError, classifyReason } from '../errors';
+import {
+  NOT_AWAITED,
+  UNINITIALIZED,
+  combine,
+  isStream,
+  peekResolved,
+  subscribe,
+} from '../-private/utils';
 
-import { VERSION } from '@ember/version';
-import Component from '@ember/component';
-import { bind } from '@ember/runloop';
-import Ember from 'ember';
-import RSVP from 'rsvp';
-import layout from '../templates/components/async-await';
+const waiter = buildWaiter('ember-async-await-helper:async-await');
 
 /**
-  Used for uninitialized values so that we can distinguish them from values that
-  were intentionally set to `null`/`undefined` in the console.
+  The state of a single awaited argument. A new instance is created every time
+  the argument changes or is reloaded, so that the timers, abort controller and
+  invocation counter of the previous argument can never leak into the next one.
 
   @private
-  @method UNINITIALIZED
-  @returns undefined
+  @class AwaitedArgument
 */
-function UNINITIALIZED() {}
+class AwaitedArgument {
+  /**
+    Whether the promise is pending, i.e. it has neither been resolved or
+    rejected. This is the opposite of `isSettled`. Only one of `isPending`,
+    `isResolved` or `isRejected` can be true at any given moment.
 
-function DEFAULT_REJECTION_HANDLER(reason) {
-  try {
-    let error = new Error(
-      `Unhandled promise rejection in {{#async-await}}: ${reason}`
-    );
-    error.reason = reason;
-    throw error;
-  } catch (error) {
-    if (typeof Ember.onerror === 'function') {
-      Ember.onerror(error);
-    } else {
-      console.assert(false, error); // eslint-disable-line no-console
-    }
+    @property isPending
+    @type Boolean
+    @default true
+  */
+  @tracked isPending = true;
+
+  /**
+    Whether the promise is settled, i.e. it has either been resolved or
+    rejected. This is the opposite of `isPending`.
+
+    @property isSettled
+    @type Boolean
+    @default false
+  */
+  @tracked isSettled = false;
+
+  /**
+    Whether the promise has been resolved. If `true`, the resolution value can
+    be found in `resolvedValue`. Only one of `isPending`, `isResolved` or
+    `isRejected` can be true at any given moment.
+
+    @property isResolved
+    @type Boolean
+    @default false
+  */
+  @tracked isResolved = false;
+
+  /**
+    Whether the promise has been rejected. If `true`, the rejection reason can
+    be found in `rejectReason`. Only one of `isPending`, `isResolved` or
+    `isRejected` can be true at any given moment.
+
+    @property isRejected
+    @type Boolean
+    @default false
+  */
+  @tracked isRejected = false;
+
+  /**
+    Whether the previously resolved value is still being yielded while a new
+    argument is pending (only in `keepLatest` mode). When `true`, `isPending`
+    is also `true`, and the previous value can be found in `resolvedValue`.
+
+    @property isReloading
+    @type Boolean
+    @default false
+  */
+  @tracked isReloading = false;
+
+  /**
+    Whether the `optimistic` value is being yielded while the argument is
+    pending. When `true`, `isPending` is also `true`, and the optimistic value
+    can be found in `resolvedValue`.
+
+    @property isOptimistic
+    @type Boolean
+    @default false
+  */
+  @tracked isOptimistic = false;
+
+  /**
+    Whether the argument was still pending when the `timeout` elapsed. When
+    `true`, `isRejected` is also `true`, and `rejectReason` is a
+    `TimeoutError`.
+
+    @property isTimedOut
+    @type Boolean
+    @default false
+  */
+  @tracked isTimedOut = false;
+
+  /**
+    Whether the pending block should be shown while the argument is pending.
+    This is `false` until the `pendingDelay` has passed.
+
+    @property isPendingVisible
+    @type Boolean
+    @default true
+  */
+  @tracked isPendingVisible = true;
+
+  /**
+    Whether no more values are coming, i.e. the promise has settled, or the
+    stream (see `promise`) has completed or failed. While a stream is still
+    emitting values, `isResolved` is `true` but `isDone` is `false`.
+
+    @property isDone
+    @type Boolean
+    @default false
+  */
+  @tracked isDone = false;
+
+  /**
+    If the promise has been resolved, this will contain the resolved value.
+
+    @property resolvedValue
+    @type any
+  */
+  @tracked resolvedValue = UNINITIALIZED();
+
+  /**
+    If the promise has been rejected, this will contain the rejection reason.
+
+    @property rejectReason
+    @type any
+  */
+  @tracked rejectReason = UNINITIALIZED();
+
+  /**
+    The `optimistic` value given for the argument, if any. Unlike
+    `resolvedValue`, it is kept once the argument rejects, so that it can be
+    rolled back.
+
+    @property optimisticValue
+    @type any
+  */
+  optimisticValue = UNINITIALIZED();
+
+  /**
+    The number of retries made for the argument.
+
+    @property attempt
+    @type Number
+    @default 0
+  */
+  attempt = 0;
+
+  /**
+    A counter that is incremented every time the argument is invoked, so that
+    promises from previous attempts can be ignored.
+
+    @property invocation
+    @type Number
+    @default 0
+  */
+  invocation = 0;
+
+  /**
+    The runloop timer for the next scheduled retry, if any.
+
+    @property retryTimer
+    @type Object | null
+  */
+  retryTimer = null;
+
+  /**
+    The runloop timer for the `timeout`, if any.
+
+    @property timeoutTimer
+    @type Object | null
+  */
+  timeoutTimer = null;
+
+  /**
+    The runloop timer for the `pendingDelay`, if any.
+
+    @property pendingTimer
+    @type Object | null
+  */
+  pendingTimer = null;
+
+  /**
+    The runloop timer for a settlement that is being held back to honor the
+    `minPendingDuration`, if any.
+
+    @property settleTimer
+    @type Object | null
+  */
+  settleTimer = null;
+
+  /**
+    The callbacks being held back by the `settleTimer`, in order. There can be
+    more than one when a stream emits several values in the meantime.
+
+    @property heldCallbacks
+    @type Array
+  */
+  heldCallbacks = [];
+
+  /**
+    When the pending block was shown, used for the `minPendingDuration`.
+
+    @property pendingShownAt
+    @type Number | null
+  */
+  pendingShownAt = null;
+
+  /**
+    The `AbortController` for the argument. It is aborted when the argument is
+    replaced or reloaded, or when the component is destroyed.
+
+    @property abortController
+    @type AbortController | null
+  */
+  abortController =
+    typeof AbortController === 'function' ? new AbortController() : null;
+
+  /**
+    Stops the stream being consumed for the argument, if any.
+
+    @property unsubscribe
+    @type Function | null
+  */
+  unsubscribe = null;
+
+  /**
+    The functions to call once the argument is no longer pending, or is
+    replaced, to stop the test waiter and FastBoot from waiting for it.
+
+    @property waiting
+    @type Array
+  */
+  waiting = [];
+
+  constructor(argument, generation, state) {
+    this.argument = argument;
+    this.generation = generation;
+
+    // The initial state is assigned before anything reads it, since it is
+    // created while rendering.
+    Object.assign(this, state);
   }
-}
 
-let hashProto;
-
-if (VERSION.startsWith('2.')) {
-  // Glimmer in older version of Ember does some weird things in creating an empty "hash",
-  // so we have to jump through some hoops to get the correct prototype.
-  hashProto = Object.getPrototypeOf(
-    Ember.__loader.require('@glimmer/util').dict()
-  );
-} else {
-  // The `hash` helper creates an object with `Object.create(null)` which will have no
-  // prototype.
-  hashProto = null;
-}
+  /**
+    Whether there is a value to yield to the resolved block, i.e. the promise
+    has been resolved, a previous value is being kept while reloading, or an
+    optimistic value is yielded while pending.
+
+    @property hasValue
+    @type Boolean
+  */
+  get hasValue() {
+    return this.isResolved || this.isReloading || this.isOptimistic;
+  }
+
+  cancelTimers() {
+    cancel(this.retryTimer);
+    cancel(this.timeoutTimer);
+    cancel(this.pendingTimer);
+    cancel(this.settleTimer);
+  }
+
+  endWaiting() {
+    let { waiting } = this;
+
+    this.waiting = [];
+    waiting.forEach((stop) => stop());
+  }
 
-function isHash(value) {
-  return (
-    typeof value === 'object' && Object.getPrototypeOf(value) === hashProto
-  );
+  abort() {
+    let { abortController } = this;
+
+    this.endWaiting();
+
+    if (abortController) {
+      abortController.abort();
+    }
+
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
 }
 
 /**
-  This component awaits a promise (passed as a positional param), then yields
-  the resolved value to the given block. Thus, the code within the block can be
-  synchronous.
+  This component awaits a promise, then yields the resolved value to the given
+  block. Thus, the code within the block can be synchronous.
 
   Optionally, pass in an inverse block to show while the promise is resolving.
 
@@ -70,178 +311,880 @@ function isHash(value) {
   {{/async-await}}
   ```
 
+  See the README for the named blocks, the state object and the other options,
+  which are documented individually below.
+
   @class component:async-await
-  @extends Ember.Component
+  @extends Component
  */
-export default Component.extend({
-  tagName: '',
-  layout,
+export default class AsyncAwaitComponent extends Component {
+  /**
+    The cache for arguments with a `cacheKey`.
+
+    @private
+    @property cache
+    @type AsyncAwaitCacheService
+  */
+  @service('async-await-cache') cache;
 
   /**
-    The promise or hash of promises to await on (passed as a positional argument).
+    The app-wide defaults for the options that are not passed in.
+
+    @private
+    @property config
+    @type AsyncAwaitConfigService
+  */
+  @service('async-await-config') config;
+
+  /**
+    The `fastboot` service, if the app uses `ember-cli-fastboot`.
+
+    @private
+    @property fastboot
+    @type Service | undefined
+  */
+  get fastboot() {
+    return getOwner(this).lookup('service:fastboot');
+  }
+
+  /**
+    Incremented by `reload` to await the same argument again.
+
+    @private
+    @property generation
+    @type Number
+    @default 0
+  */
+  @tracked generation = 0;
+
+  /**
+    The state of the most-recently awaited argument.
+
+    @private
+    @property awaited
+    @type AwaitedArgument
+  */
+  awaited = new AwaitedArgument(NOT_AWAITED, 0);
+
+  /**
+    The `<AsyncBoundary>` (as yielded by it) to register with, which reveals
+    the block once the boundary's other blocks are ready as well. It cannot be
+    changed after the component is rendered.
 
     @public
-    @property argument
+    @property boundary
+    @type AsyncBoundaryComponent | null
+    @default null
+  */
+  boundary = this.args.boundary ?? null;
+
+  constructor() {
+    super(...arguments);
+
+    if (this.boundary) {
+      this.boundary.register(this);
+    }
+  }
+
+  /**
+    The promise, or array or hash of promises, to await on. With curly
+    invocation, it can also be passed as a positional argument, and `@argument`
+    is accepted as an alias.
+    This can also be a function that returns a promise (or array or hash of
+    promises),
+    which is called when the argument is first awaited, and again on every
+    retry or reload. The function receives an `AbortSignal` that is aborted
+    when the argument changes, is reloaded, or the component is destroyed.
+    Finally, it can be (or the function can return) a stream, i.e. an async
+    iterable or an observable (with a `Symbol.observable` method), in which
+    case every value it emits is yielded in turn.
+
+    @public
+    @property promise
     @type any
     @required
   */
-  argument: UNINITIALIZED(),
+  get argument() {
+    return 'promise' in this.args ? this.args.promise : this.args.argument;
+  }
 
   /**
-    A callback to run when the promise rejects. By default, it calls
+    The `argument`, computed again only when the arguments it comes from
+    change. Before Ember 3.25, `(hash)` and `(array)` return a new object
+    every time they are read, which would otherwise be awaited anew on every
+    render.
+
+    @private
+    @property argumentCache
+    @type Cache
+  */
+  argumentCache = createCache(() => this.argument);
+
+  /**
+    A callback to run when the promise rejects. By default, it reports the
+    rejection to the `errorBoundary` if there is one, and otherwise calls
     `Ember.onerror` with an error object with its `reason` property set to the
-    promise's rejection reason. You can pass a different function here to
-    handle the rejection more locally. Pass `null` to silence the rejection
-    completely.
+    promise's rejection reason (see `service:async-await-config` to change
+    this app-wide). You can pass a different function here to handle the
+    rejection more locally. Pass `null` to silence the rejection completely.
+
+    Common `fetch` rejection reasons are classified first, see
+    `classifyReason` in `ember-async-await-helper/errors`: the handler (and the
+    rejected block) receive an `AbortError`, `HttpError` or `NetworkError`
+    instead.
 
     @public
     @property onReject
     @type Function | null
     @required
   */
-  onReject: DEFAULT_REJECTION_HANDLER,
+  get onReject() {
+    let { onReject } = this.args;
+
+    if (onReject !== undefined) {
+      return onReject;
+    }
+
+    let { config, errorBoundary } = this;
+
+    if (errorBoundary) {
+      return errorBoundary.report;
+    }
+
+    return (
+      config.onReject &&
+      ((reason) => config.onReject(reason, '{{#async-await}}'))
+    );
+  }
 
   /**
-    The most-recently awaited argument.
+    How to await an array or hash of promises:
 
-    @private
-    @property awaited
+    - `all` (the default) resolves with all of the values once they have all
+      resolved, or rejects as soon as one of them rejects
+    - `allSettled` (arrays only) resolves with a `{ state, value, reason }`
+      object for each promise once they have all settled, and never rejects
+    - `race` (arrays only) settles with the first promise to settle
+    - `hashSettled` (hashes only) is the `allSettled` equivalent for hashes
+    - `progressive` (hashes only) renders the block right away with the state
+      of each key (`isPending`, `isResolved`, `isRejected`, `value` and
+      `reason`), then again every time one of the promises settles
+
+    When it is not passed, the app-wide `arrayMode` or `hashMode` is used,
+    depending on the argument (see `service:async-await-config`).
+
+    @public
+    @property mode
+    @type String
+    @default 'all'
+  */
+  get mode() {
+    return this.args.mode;
+  }
+
+  /**
+    When `true`, the block is rendered in every state and receives a single
+    state object (see `state`) instead of the resolved value. This is useful
+    for rendering combined loading/error/success layouts in one block.
+
+    @public
+    @property yieldState
+    @type Boolean
+    @default false
+  */
+  get yieldState() {
+    return this.args.yieldState ?? false;
+  }
+
+  /**
+    When `true`, the last resolved value continues to be yielded while a new
+    argument is pending (with `isReloading` set in the state object), instead
+    of switching back to the pending block. This avoids flashing a loading
+    state when, for example, paginating or searching.
+
+    @public
+    @property keepLatest
+    @type Boolean
+    @default false
+  */
+  get keepLatest() {
+    return this.optionFor('keepLatest');
+  }
+
+  /**
+    A value to yield while the argument is pending, as if it had resolved
+    with it (with `isOptimistic` set in the state object). Once the argument
+    resolves, the resolved value is yielded instead. If it rejects, the
+    component moves to the rejected state, and the optimistic value remains
+    available as `optimisticValue` in the state object. The value is read when
+    the argument starts being awaited.
+
+    @public
+    @property optimistic
     @type any
   */
-  awaited: UNINITIALIZED(),
+  get optimistic() {
+    return this.args.optimistic;
+  }
 
   /**
-    Whether the promise is pending, i.e. it has neither been resolved or
-    rejected. This is the opposite of `isSettled`. Only one of `isPending`,
-    `isResolved` or `isRejected` can be true at any given moment.
+    The number of times to retry when the promise rejects, before moving to
+    the rejected state. Retrying only makes sense when the argument is a
+    function that returns a promise, in which case the function is called
+    again for every attempt.
 
-    @private
-    @property isPending
+    @public
+    @property retries
+    @type Number
+    @default 0
+  */
+  get retries() {
+    return this.optionFor('retries');
+  }
+
+  /**
+    How long to wait (in milliseconds) before each retry. When given a number,
+    the delay doubles after every attempt (`backoff`, `2 * backoff`,
+    `4 * backoff`, ...). When given a function, it is called with the attempt
+    number (starting at `1`) and the rejection reason, and should return the
+    delay for that attempt.
+
+    @public
+    @property backoff
+    @type Number | Function
+    @default 0
+  */
+  get backoff() {
+    return this.optionFor('backoff');
+  }
+
+  /**
+    How long to wait (in milliseconds) for the argument to settle, including
+    any retries. If it is still pending by then, the component moves to the
+    timed-out state, rendering the `<:timeout>` block (or the rejected state's
+    blocks if there is none), and calls `onReject` with a `TimeoutError`. If
+    the original promise settles later, it is ignored.
+
+    @public
+    @property timeout
+    @type Number | null
+    @default null
+  */
+  get timeout() {
+    return this.optionFor('timeout');
+  }
+
+  /**
+    How long to wait (in milliseconds) before showing the pending block. If the
+    argument settles before then, the pending block is never shown, avoiding a
+    flash of loading state for fast promises. Nothing is rendered in the
+    meantime.
+
+    @public
+    @property pendingDelay
+    @type Number
+    @default 0
+  */
+  get pendingDelay() {
+    return this.optionFor('pendingDelay');
+  }
+
+  /**
+    Once the pending block is shown, the minimum time (in milliseconds) to keep
+    showing it, even if the argument settles sooner. This avoids the pending
+    block flickering in and out.
+
+    @public
+    @property minPendingDuration
+    @type Number
+    @default 0
+  */
+  get minPendingDuration() {
+    return this.optionFor('minPendingDuration');
+  }
+
+  /**
+    A key identifying the argument, under which its resolved value is shared
+    with other components through the `async-await-cache` service. When a
+    value has already been cached for the key, it is rendered right away,
+    without awaiting the argument at all. The key should change whenever the
+    argument would resolve to something else.
+
+    @public
+    @property cacheKey
+    @type any
+    @default null
+  */
+  get cacheKey() {
+    return this.args.cacheKey ?? null;
+  }
+
+  /**
+    How long (in milliseconds) to cache the resolved value for. Defaults to
+    the `async-await-cache` service's `ttl`.
+
+    @public
+    @property cacheTtl
+    @type Number | null
+  */
+  get cacheTtl() {
+    return this.args.cacheTtl ?? this.cache.ttl;
+  }
+
+  /**
+    A callback to run when a new argument starts being awaited (including on
+    `reload`), with the argument. It is not called for arguments whose value
+    is known right away.
+
+    @public
+    @property onPending
+    @type Function | null
+    @default null
+  */
+  get onPending() {
+    return this.args.onPending ?? null;
+  }
+
+  /**
+    A callback to run when the argument resolves, with the resolved value. For
+    streams, it is called with every value.
+
+    @public
+    @property onResolve
+    @type Function | null
+    @default null
+  */
+  get onResolve() {
+    return this.args.onResolve ?? null;
+  }
+
+  /**
+    A callback to run once the argument has settled (see `isDone`), i.e. it
+    either resolved or rejected, with the state object (see `state`).
+
+    @public
+    @property onSettled
+    @type Function | null
+    @default null
+  */
+  get onSettled() {
+    return this.args.onSettled ?? null;
+  }
+
+  /**
+    Whether to register the argument with `@ember/test-waiters` while it is
+    pending, so that `settled()` (and so `render()`, `click()`, etc.) waits
+    for it to settle in tests. For streams, it waits for the first value. Test
+    waiters are stripped from production builds.
+
+    Disable it to assert the pending state after `await render()`, or for
+    arguments that are never expected to settle during a test.
+
+    @public
+    @property useTestWaiters
     @type Boolean
     @default true
   */
-  isPending: true,
+  get useTestWaiters() {
+    return this.optionFor('useTestWaiters');
+  }
 
   /**
-    Whether the promise is settled, i.e. it has either been resolved or
-    rejected. This is the opposite of `isPending`.
+    The `<AsyncErrorBoundary>` (as yielded by it) to report rejections to,
+    unless an `onReject` handler is passed.
 
-    @private
-    @property isSettled
+    @public
+    @property errorBoundary
+    @type AsyncErrorBoundaryComponent | null
+    @default null
+  */
+  get errorBoundary() {
+    return this.args.errorBoundary ?? null;
+  }
+
+  /**
+    Whether the `boundary` waits for the argument to settle before hiding its
+    fallback. If `false`, the block is revealed without waiting for it, and
+    renders its own pending block until then.
+
+    @public
+    @property boundaryRequired
     @type Boolean
-    @default false
+    @default true
   */
-  isSettled: false,
+  get boundaryRequired() {
+    return this.args.boundaryRequired ?? true;
+  }
 
   /**
-    Whether the promise has been resolved. If `true`, the resolution value can
-    be found in `resolvedValue`. Only one of `isPending`, `isResolved` or
-    `isRejected` can be true at any given moment.
+    Whether the blocks can be rendered, i.e. there is no `boundary`, or it has
+    revealed the component. The argument is awaited either way.
 
     @private
-    @property isResolved
+    @property isRevealed
     @type Boolean
-    @default false
   */
-  isResolved: false,
+  get isRevealed() {
+    let { boundary } = this;
+
+    this.didReceiveArgument(getValue(this.argumentCache));
+
+    return !boundary || boundary.isRevealed(this);
+  }
 
   /**
-    Whether the promise has been rejected. If `true`, the rejection reason can
-    be found in `rejectReason`. Only one of `isPending`, `isResolved` or
-    `isRejected` can be true at any given moment.
+    The value of the given option, falling back to the app-wide default from
+    the `async-await-config` service if it was not passed.
 
     @private
-    @property isRejected
-    @type Boolean
-    @default false
+    @method optionFor
+    @param {String} name
+    @returns any
   */
-  isRejected: false,
+  optionFor(name) {
+    let value = this.args[name];
+    return value === undefined ? this.config[name] : value;
+  }
 
   /**
-    If the promise has been resolved, this will contain the resolved value.
+    The state of the current argument, starting to await it first if it has
+    changed or been reloaded since it was last awaited.
 
     @private
-    @property resolvedValue
-    @type any
+    @property current
+    @type AwaitedArgument
   */
-  resolvedValue: UNINITIALIZED(),
+  get current() {
+    this.didReceiveArgument(getValue(this.argumentCache));
+    return this.awaited;
+  }
 
   /**
-    If the promise has been resolved, this will contain the rejection reason.
+    The state object yielded to the block in `yieldState` mode, and alongside
+    the resolved value otherwise. It contains the `awaited` argument, the
+    `isPending`, `isSettled`, `isResolved`, `isRejected`, `isReloading`,
+    `isOptimistic`, `isTimedOut`, `isPendingVisible` and `isDone` flags, the
+    resolved `value` or rejection `reason`, the `optimisticValue`, and the
+    `retry` and `reload` actions.
 
     @private
-    @property rejectReason
-    @type any
+    @property state
+    @type Object
   */
-  rejectReason: UNINITIALIZED(),
+  get state() {
+    let { current } = this;
+
+    return {
+      awaited: current.argument,
+      isPending: current.isPending,
+      isSettled: current.isSettled,
+      isResolved: current.isResolved,
+      isRejected: current.isRejected,
+      isReloading: current.isReloading,
+      isOptimistic: current.isOptimistic,
+      isTimedOut: current.isTimedOut,
+      isPendingVisible: current.isPendingVisible,
+      isDone: current.isDone,
+      value: current.resolvedValue,
+      reason: current.rejectReason,
+      optimisticValue: current.optimisticValue,
+      retry: this.retry,
+      reload: this.reload,
+    };
+  }
 
-  didReceiveAttrs() {
-    this._super(...arguments);
-    this.didReceiveArgument(this.argument);
-  },
+  willDestroy() {
+    super.willDestroy(...arguments);
+    this.awaited.cancelTimers();
+    this.awaited.abort();
+
+    if (this.boundary) {
+      this.boundary.unregister(this);
+    }
+  }
 
   didReceiveArgument(argument) {
-    if (argument === this.awaited) {
+    let { awaited, generation } = this;
+
+    if (argument === awaited.argument && generation === awaited.generation) {
       return;
     }
 
-    this.setProperties({
-      awaited: argument,
-      isPending: true,
-      isSettled: false,
-      isResolved: false,
-      isRejected: false,
-      resolvedValue: UNINITIALIZED(),
-      rejectReason: UNINITIALIZED(),
+    this.awaitArgument(argument);
+  }
+
+  awaitArgument(argument) {
+    let previous = this.awaited;
+    let isReloading = this.keepLatest && previous.hasValue;
+
+    previous.cancelTimers();
+    previous.abort();
+
+    let { cacheKey, generation } = this;
+    let cached = cacheKey === null ? undefined : this.cache.lookup(cacheKey);
+
+    if (cached) {
+      let awaited = new AwaitedArgument(argument, generation, {
+        isPending: false,
+        isSettled: true,
+        isResolved: true,
+        isDone: true,
+        resolvedValue: cached.value,
+      });
+
+      this.awaited = awaited;
+
+      this.notify(awaited, 'onResolve', cached.value);
+      this.notify(awaited, 'onSettled', this.state);
+
+      if (this.boundary) {
+        this.boundary.childDidSettle();
+      }
+
+      return;
+    }
+
+    let { optimistic, timeout, pendingDelay } = this;
+    let isPendingVisible = !(pendingDelay > 0);
+    let isOptimistic = optimistic !== undefined;
+    let resolvedValue = UNINITIALIZED();
+
+    if (isOptimistic) {
+      resolvedValue = optimistic;
+    } else if (isReloading) {
+      resolvedValue = previous.resolvedValue;
+    }
+
+    let awaited = new AwaitedArgument(argument, generation, {
+      pendingShownAt: isPendingVisible ? Date.now() : null,
+      isPendingVisible,
+      isReloading,
+      isOptimistic,
+      optimisticValue: isOptimistic ? optimistic : UNINITIALIZED(),
+      resolvedValue,
     });
 
-    let target = isHash(argument) ? RSVP.hash(argument) : argument;
+    this.awaited = awaited;
+
+    if (typeof timeout === 'number') {
+      awaited.timeoutTimer = later(this, this.didTimeout, awaited, timeout);
+    }
+
+    if (!isPendingVisible) {
+      awaited.pendingTimer = later(
+        this,
+        this.didExceedPendingDelay,
+        awaited,
+        pendingDelay
+      );
+    }
+
+    this.waitFor(awaited);
+
+    this.invoke(awaited);
+
+    if (awaited.isPending) {
+      this.notify(awaited, 'onPending', argument);
+    }
+  }
+
+  waitFor(awaited) {
+    let { boundary, fastboot } = this;
+
+    if (boundary) {
+      awaited.waiting.push(() => boundary.childDidSettle());
+    }
+
+    if (this.useTestWaiters) {
+      let token = waiter.beginAsync();
+      awaited.waiting.push(() => waiter.endAsync(token));
+    }
+
+    if (fastboot && fastboot.isFastBoot) {
+      fastboot.deferRendering(
+        new Promise((resolve) => awaited.waiting.push(resolve))
+      );
+    }
+  }
+
+  invoke(awaited) {
+    let invocation = ++awaited.invocation;
+    let { argument, abortController } = awaited;
+
+    new Promise((resolve) => {
+      let value =
+        typeof argument === 'function'
+          ? argument(abortController ? abortController.signal : undefined)
+          : argument;
+      let target = combine(value, this.mode ?? this.config.modeFor(value));
 
-    Promise.resolve(target).then(
-      bind(this, this.didResolve, argument),
-      bind(this, this.didReject, argument)
+      if (isStream(target)) {
+        // Streams may emit values as soon as they are subscribed to, which
+        // must not happen while the current state is being rendered.
+        schedule('actions', this, this.consume, awaited, invocation, target);
+        return;
+      }
+
+      let resolved = peekResolved(target);
+
+      if (resolved && invocation === 1) {
+        // The state for the argument has not been rendered yet, so the known
+        // value can be rendered right away, without a pending render pass.
+        awaited.cancelTimers();
+        this.resolveWith(awaited, resolved.value, true);
+      } else {
+        resolve(target);
+      }
+    }).then(
+      bind(this, this.didResolve, awaited, invocation),
+      bind(this, this.didReject, awaited, invocation)
     );
-  },
+  }
 
-  didResolve(resolvedArgument, value) {
-    if (this.shouldIgnorePromise(resolvedArgument)) {
+  consume(awaited, invocation, stream) {
+    if (this.shouldIgnorePromise(awaited, invocation)) {
       return;
     }
 
-    this.setProperties({
+    let didReject = bind(this, this.didReject, awaited, invocation);
+
+    try {
+      awaited.unsubscribe = subscribe(stream, {
+        next: bind(this, this.didEmit, awaited, invocation),
+        error: didReject,
+        complete: bind(this, this.didComplete, awaited, invocation),
+      });
+    } catch (error) {
+      didReject(error);
+    }
+  }
+
+  @action
+  reload() {
+    if (this.isDestroyed || this.isDestroying) {
+      return;
+    }
+
+    if (this.cacheKey !== null) {
+      this.cache.invalidate(this.cacheKey);
+    }
+
+    this.generation++;
+  }
+
+  @action
+  retry() {
+    if (this.awaited.isRejected) {
+      this.reload();
+    }
+  }
+
+  backoffFor(attempt, reason) {
+    let { backoff } = this;
+
+    if (typeof backoff === 'function') {
+      return backoff(attempt, reason);
+    } else {
+      return backoff * Math.pow(2, attempt - 1);
+    }
+  }
+
+  didResolve(awaited, invocation, value) {
+    if (this.shouldIgnorePromise(awaited, invocation)) {
+      return;
+    }
+
+    this.settle(awaited, () => this.resolveWith(awaited, value, true));
+  }
+
+  didEmit(awaited, invocation, value) {
+    if (this.shouldIgnorePromise(awaited, invocation)) {
+      return;
+    }
+
+    this.settle(awaited, () => this.resolveWith(awaited, value, false));
+  }
+
+  didComplete(awaited, invocation) {
+    if (this.shouldIgnorePromise(awaited, invocation)) {
+      return;
+    }
+
+    this.settle(awaited, () => {
+      if (awaited.isResolved) {
+        awaited.isDone = true;
+        this.notify(awaited, 'onSettled', this.state);
+      } else {
+        // The stream completed without emitting any values.
+        this.resolveWith(awaited, undefined, true);
+      }
+    });
+  }
+
+  resolveWith(awaited, value, isDone) {
+    awaited.endWaiting();
+
+    Object.assign(awaited, {
       isPending: false,
       isSettled: true,
       isResolved: true,
       isRejected: false,
+      isReloading: false,
+      isOptimistic: false,
+      isDone,
       resolvedValue: value,
       rejectReason: UNINITIALIZED(),
     });
-  },
 
-  didReject(rejectedArgument, reason) {
-    if (this.shouldIgnorePromise(rejectedArgument)) {
+    if (isDone && this.cacheKey !== null) {
+      this.cache.store(this.cacheKey, value, this.cacheTtl);
+    }
+
+    this.notify(awaited, 'onResolve', value);
+
+    if (isDone) {
+      this.notify(awaited, 'onSettled', this.state);
+    }
+  }
+
+  didReject(awaited, invocation, rejection) {
+    if (this.shouldIgnorePromise(awaited, invocation)) {
       return;
     }
 
-    this.setProperties({
-      isPending: false,
-      isSettled: true,
-      isResolved: false,
-      isRejected: true,
-      resolvedValue: UNINITIALIZED(),
-      rejectReason: reason,
+    let reason = classifyReason(rejection);
+
+    if (
+      !awaited.isTimedOut &&
+      !(reason instanceof AbortError) &&
+      awaited.attempt < this.retries
+    ) {
+      let attempt = ++awaited.attempt;
+
+      awaited.retryTimer = later(
+        this,
+        this.invoke,
+        awaited,
+        this.backoffFor(attempt, reason)
+      );
+
+      return;
+    }
+
+    this.settle(awaited, () => {
+      awaited.endWaiting();
+
+      Object.assign(awaited, {
+        isPending: false,
+        isSettled: true,
+        isResolved: false,
+        isRejected: true,
+        isReloading: false,
+        isOptimistic: false,
+        isDone: true,
+        resolvedValue: UNINITIALIZED(),
+        rejectReason: reason,
+      });
+
+      let { onReject } = this;
+
+      if (onReject) {
+        onReject(reason);
+      }
+
+      this.notify(awaited, 'onSettled', this.state);
     });
+  }
 
-    let { onReject } = this;
+  settle(awaited, callback) {
+    cancel(awaited.timeoutTimer);
+    cancel(awaited.pendingTimer);
 
-    if (onReject) {
-      onReject(reason);
+    if (awaited.settleTimer) {
+      // A previous value of a stream is still being held back, so this one
+      // has to wait its turn.
+      awaited.heldCallbacks.push(callback);
+      return;
+    }
+
+    let remaining = 0;
+
+    if (
+      awaited.isPendingVisible &&
+      !awaited.isReloading &&
+      !awaited.isOptimistic
+    ) {
+      remaining = awaited.pendingShownAt + this.minPendingDuration - Date.now();
     }
-  },
 
-  shouldIgnorePromise(argument) {
-    return this.isDestroyed || this.isDestroying || this.argument !== argument;
-  },
-}).reopenClass({
-  positionalParams: ['argument'],
-});
+    if (remaining > 0) {
+      awaited.heldCallbacks.push(callback);
+      awaited.settleTimer = later(
+        this,
+        this.didExceedMinPendingDuration,
+        awaited,
+        remaining
+      );
+    } else {
+      callback();
+    }
+  }
+
+  didExceedMinPendingDuration(awaited) {
+    let { heldCallbacks } = awaited;
+
+    awaited.settleTimer = null;
+    awaited.heldCallbacks = [];
+    heldCallbacks.forEach((callback) => callback());
+  }
+
+  didExceedPendingDelay(awaited) {
+    Object.assign(awaited, {
+      isPendingVisible: true,
+      pendingShownAt: Date.now(),
+    });
+  }
+
+  didTimeout(awaited) {
+    if (this.shouldIgnorePromise(awaited, awaited.invocation)) {
+      return;
+    }
+
+    cancel(awaited.retryTimer);
+    awaited.abort();
+
+    // Bumping the invocation makes us ignore the pending promise if it settles
+    // after the timeout.
+    awaited.invocation++;
+
+    awaited.isTimedOut = true;
+    this.didReject(awaited, awaited.invocation, new TimeoutError(this.timeout));
+  }
+
+  notify(awaited, name, value) {
+    // The callbacks may update the parent's state, so they cannot be called
+    // while the current state is being rendered.
+    schedule('actions', () => {
+      if (this.shouldIgnorePromise(awaited, awaited.invocation)) {
+        return;
+      }
+
+      let callback = this[name];
+
+      if (callback) {
+        callback(value);
+      }
+    });
+  }
+
+  shouldIgnorePromise(awaited, invocation) {
+    return (
+      this.isDestroyed ||
+      this.isDestroying ||
+      this.awaited !== awaited ||
+      getValue(this.argumentCache) !== awaited.argument ||
+      this.generation !== awaited.generation ||
+      awaited.invocation !== invocation
+    );
+  }
+}
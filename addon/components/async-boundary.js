@@ -0,0 +1,212 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { assert } from '@ember/debug';
+import { schedule } from '@ember/runloop';
+
+const REVEAL_ORDERS = ['together', 'in-order'];
+
+/**
+  This component shows a single fallback in place of the `{{#async-await}}`
+  blocks nested within it, until they have all settled, instead of each of
+  them showing its own pending block as it pleases.
+
+  The `{{#async-await}}` blocks register with the boundary by being passed the
+  boundary it yields, including from nested components:
+
+  ```
+  <AsyncBoundary>
+    <:default as |boundary|>
+      {{#async-await this.user boundary=boundary as |user|}}
+        <UserProfile @user={{user}} />
+      {{/async-await}}
+
+      <UserPosts @user={{this.user}} @boundary={{boundary}} />
+    </:default>
+
+    <:fallback>
+      <LoadingSpinner />
+    </:fallback>
+  </AsyncBoundary>
+  ```
+
+  With curly invocation, the fallback is the inverse block:
+
+  ```
+  {{#async-boundary as |boundary|}}
+    {{#async-await this.user boundary=boundary as |user|}}
+      <UserProfile @user={{user}} />
+    {{/async-await}}
+  {{else}}
+    <LoadingSpinner />
+  {{/async-boundary}}
+  ```
+
+  The rest of the block is rendered right away; only the registered blocks
+  render nothing until they are revealed. A rejected block counts as settled,
+  and is revealed with its rejected block. Blocks passed
+  `boundaryRequired=false` do not hold back the others, and render their own
+  pending block once revealed.
+
+  Once the fallback has been hidden, it is not shown again: the blocks that
+  are reloaded or rendered later on show their own pending blocks.
+
+  @class component:async-boundary
+  @extends Component
+ */
+export default class AsyncBoundaryComponent extends Component {
+  /**
+    The registered `{{#async-await}}` components, in the order they were
+    rendered.
+
+    @private
+    @property children
+    @type Array
+  */
+  children = [];
+
+  /**
+    The registered components that have been revealed.
+
+    @private
+    @property revealed
+    @type Array
+  */
+  @tracked revealed = [];
+
+  /**
+    Whether all of the required components have been revealed, and the
+    fallback is hidden for good.
+
+    @public
+    @property isComplete
+    @type Boolean
+    @default false
+  */
+  @tracked isComplete = false;
+
+  constructor() {
+    super(...arguments);
+
+    // In case there are no children to register
+    this.scheduleUpdate();
+  }
+
+  /**
+    How to reveal the registered components once they settle:
+
+    - `together` (the default) reveals all of them at once, when the last one
+      settles
+    - `in-order` reveals them one by one in the order they were rendered (i.e.
+      in document order), each of them once it and all of the ones before it
+      have settled
+
+    The fallback is shown until all of them are revealed.
+
+    @public
+    @property reveal
+    @type String
+    @default 'together'
+  */
+  get reveal() {
+    let reveal = this.args.reveal ?? 'together';
+
+    assert(
+      `\`${reveal}\` is not a valid reveal order for <AsyncBoundary>, expected one of: ${REVEAL_ORDERS.join(
+        ', '
+      )}`,
+      REVEAL_ORDERS.indexOf(reveal) !== -1
+    );
+
+    return reveal;
+  }
+
+  /**
+    Whether the given registered component may render its blocks.
+
+    @private
+    @method isRevealed
+    @param {AsyncAwaitComponent} child
+    @returns Boolean
+  */
+  isRevealed(child) {
+    return this.isComplete || this.revealed.indexOf(child) !== -1;
+  }
+
+  /**
+    Called by `{{#async-await}}` components when they are created.
+
+    @private
+    @method register
+    @param {AsyncAwaitComponent} child
+  */
+  register(child) {
+    this.children.push(child);
+    this.scheduleUpdate();
+  }
+
+  /**
+    Called by `{{#async-await}}` components when they are destroyed.
+
+    @private
+    @method unregister
+    @param {AsyncAwaitComponent} child
+  */
+  unregister(child) {
+    this.children = this.children.filter((other) => other !== child);
+    this.scheduleUpdate();
+  }
+
+  /**
+    Called by `{{#async-await}}` components when their argument settles.
+
+    @private
+    @method childDidSettle
+  */
+  childDidSettle() {
+    this.scheduleUpdate();
+  }
+
+  scheduleUpdate() {
+    // The children register and settle while they are being rendered, so the
+    // boundary's state cannot be updated until they are done.
+    schedule('actions', this, this.update);
+  }
+
+  update() {
+    if (this.isDestroying || this.isDestroyed || this.isComplete) {
+      return;
+    }
+
+    let { children } = this;
+    let isSettled = (child) => child.awaited.isSettled;
+    let isRequired = (child) => child.boundaryRequired;
+    let revealed;
+
+    if (this.reveal === 'together') {
+      let isReady = children.filter(isRequired).every(isSettled);
+      revealed = isReady ? children.slice() : [];
+    } else {
+      let index = children.findIndex(
+        (child) => isRequired(child) && !isSettled(child)
+      );
+      revealed = index === -1 ? children.slice() : children.slice(0, index);
+    }
+
+    // Revealed components stay revealed, even if they are reloaded.
+    revealed = children.filter(
+      (child) =>
+        revealed.indexOf(child) !== -1 || this.revealed.indexOf(child) !== -1
+    );
+
+    if (
+      revealed.length !== this.revealed.length ||
+      revealed.some((child, index) => this.revealed[index] !== child)
+    ) {
+      this.revealed = revealed;
+    }
+
+    if (revealed.length === children.length) {
+      this.isComplete = true;
+    }
+  }
+}
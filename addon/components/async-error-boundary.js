@@ -0,0 +1,133 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { AbortError } from '../errors';
+
+/**
+  This component catches the rejections of the `{{#async-await}}` blocks
+  nested within it, and renders its error block in place of its block, so that
+  one section of the page can show an error and be retried on its own.
+
+  The `{{#async-await}}` blocks report to the error boundary by being passed
+  the error boundary it yields, including from nested components. Blocks that
+  are passed their own `onReject` handler do not report to it. The error block
+  receives the rejection reason and a `reset` action, which renders the block
+  again from scratch:
+
+  ```
+  <AsyncErrorBoundary @onReset={{this.refresh}}>
+    <:default as |errorBoundary|>
+      {{#async-await this.fetchUser errorBoundary=errorBoundary as |user|}}
+        <UserProfile @user={{user}} />
+      {{/async-await}}
+
+      <UserPosts @user={{this.user}} @errorBoundary={{errorBoundary}} />
+    </:default>
+
+    <:error as |reason reset|>
+      <p>Something went wrong: {{reason.message}}</p>
+      <button type="button" {{on "click" reset}}>Try again</button>
+    </:error>
+  </AsyncErrorBoundary>
+  ```
+
+  With curly invocation, the error block is the inverse block.
+
+  @class component:async-error-boundary
+  @extends Component
+ */
+export default class AsyncErrorBoundaryComponent extends Component {
+  /**
+    Whether a nested block has reported a rejection since the boundary was
+    rendered or last reset.
+
+    @public
+    @property hasError
+    @type Boolean
+    @default false
+  */
+  @tracked hasError = false;
+
+  /**
+    The reported rejection reason.
+
+    @public
+    @property reason
+    @type any
+  */
+  @tracked reason = undefined;
+
+  /**
+    A callback to run when a nested block reports a rejection, with the
+    reason, e.g. to log it.
+
+    @public
+    @property onError
+    @type Function | null
+    @default null
+  */
+  get onError() {
+    return this.args.onError ?? null;
+  }
+
+  /**
+    A callback to run when the boundary is reset, e.g. to fetch the data
+    again, before the block is rendered again.
+
+    @public
+    @property onReset
+    @type Function | null
+    @default null
+  */
+  get onReset() {
+    return this.args.onReset ?? null;
+  }
+
+  /**
+    Called by `{{#async-await}}` components when their argument rejects.
+    Only the first rejection is kept until the boundary is reset, and
+    `AbortError`s are ignored.
+
+    @private
+    @method report
+    @param {any} reason
+  */
+  @action
+  report(reason) {
+    if (
+      this.isDestroying ||
+      this.isDestroyed ||
+      this.hasError ||
+      reason instanceof AbortError
+    ) {
+      return;
+    }
+
+    this.reason = reason;
+    this.hasError = true;
+
+    if (this.onError) {
+      this.onError(reason);
+    }
+  }
+
+  /**
+    Clears the error, and renders the block again.
+
+    @public
+    @method reset
+  */
+  @action
+  reset() {
+    if (this.isDestroying || this.isDestroyed) {
+      return;
+    }
+
+    if (this.onReset) {
+      this.onReset();
+    }
+
+    this.reason = undefined;
+    this.hasError = false;
+  }
+}
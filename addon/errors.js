@@ -0,0 +1,151 @@
+/**
+  The rejection reason used when an awaited argument does not settle within the
+  given `timeout`.
+
+  ```js
+  import { TimeoutError } from 'ember-async-await-helper/errors';
+
+  if (reason instanceof TimeoutError) {
+    console.log(`gave up after ${reason.timeout}ms`);
+  }
+  ```
+
+  @class TimeoutError
+  @extends Error
+*/
+export class TimeoutError extends Error {
+  constructor(timeout) {
+    super(`Timed out after ${timeout}ms`);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+  The rejection reason used when an awaited argument was aborted, e.g. a
+  `fetch` with an `AbortSignal` that was aborted. The original reason is kept
+  as the `reason` property.
+
+  By default, aborts are not reported as unhandled rejections.
+
+  @class AbortError
+  @extends Error
+*/
+export class AbortError extends Error {
+  constructor(reason) {
+    super((reason && reason.message) || 'The operation was aborted');
+    this.name = 'AbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+  The rejection reason used when an awaited argument rejects with a `fetch`
+  `Response`, e.g. after `if (!response.ok) throw response;`. The response is
+  kept as the `response` property, along with its `status`, `statusText` and
+  `url`.
+
+  ```js
+  import { HttpError } from 'ember-async-await-helper/errors';
+
+  if (reason instanceof HttpError && reason.status === 404) {
+    // ...
+  }
+  ```
+
+  @class HttpError
+  @extends Error
+*/
+export class HttpError extends Error {
+  constructor(response) {
+    let { status, statusText, url } = response;
+
+    super(
+      `HTTP ${status}${statusText ? ` ${statusText}` : ''}${
+        url ? ` (${url})` : ''
+      }`
+    );
+
+    this.name = 'HttpError';
+    this.response = response;
+    this.status = status;
+    this.statusText = statusText;
+    this.url = url;
+  }
+}
+
+/**
+  The rejection reason used when an awaited `fetch` fails to get a response
+  at all, e.g. when the user is offline. The original reason (usually a
+  `TypeError`) is kept as the `reason` property.
+
+  @class NetworkError
+  @extends Error
+*/
+export class NetworkError extends Error {
+  constructor(reason) {
+    super(reason.message);
+    this.name = 'NetworkError';
+    this.reason = reason;
+  }
+}
+
+// The messages of the `TypeError`s that `fetch` rejects with in Chrome,
+// Firefox, Safari and the `whatwg-fetch` polyfill respectively.
+const NETWORK_ERROR_MESSAGES = [
+  'Failed to fetch',
+  'NetworkError when attempting to fetch resource.',
+  'Load failed',
+  'Network request failed',
+];
+
+function isResponse(value) {
+  if (typeof Response === 'function' && value instanceof Response) {
+    return true;
+  }
+
+  // Responses from other realms, or `fetch` polyfills
+  return (
+    typeof value.status === 'number' &&
+    typeof value.ok === 'boolean' &&
+    typeof value.headers === 'object' &&
+    typeof value.json === 'function'
+  );
+}
+
+/**
+  Normalizes a rejection reason into one of the error classes above when it
+  is recognized: an error named `AbortError` (such as the `DOMException` of an
+  aborted `fetch`) into an `AbortError`, a `Response` into an `HttpError`, and
+  the `TypeError` of a failed `fetch` into a `NetworkError`. Any other reason,
+  including a `TimeoutError`, is returned as-is.
+
+  This is what the rejected block and `onReject` receive.
+
+  @method classifyReason
+  @param {any} reason
+  @returns any
+*/
+export function classifyReason(reason) {
+  if (reason === null || typeof reason !== 'object') {
+    return reason;
+  } else if (
+    reason instanceof TimeoutError ||
+    reason instanceof AbortError ||
+    reason instanceof HttpError ||
+    reason instanceof NetworkError
+  ) {
+    return reason;
+  } else if (reason.name === 'AbortError') {
+    return new AbortError(reason);
+  } else if (isResponse(reason)) {
+    return new HttpError(reason);
+  } else if (
+    reason instanceof TypeError &&
+    NETWORK_ERROR_MESSAGES.indexOf(reason.message) !== -1
+  ) {
+    return new NetworkError(reason);
+  } else {
+    return reason;
+  }
+}
@@ -0,0 +1,165 @@
+import Helper from '@ember/component/helper';
+import { assert } from '@ember/debug';
+import { bind } from '@ember/runloop';
+import { inject as service } from '@ember/service';
+import { classifyReason } from '../errors';
+import {
+  NOT_AWAITED,
+  UNINITIALIZED,
+  combine,
+  isSameArgument,
+  peekResolved,
+} from '../-private/utils';
+
+/**
+  This helper awaits a promise (or array or hash of promises), then returns the
+  resolved value. It is a lightweight alternative to the `{{#async-await}}`
+  component for inline use, such as in a label or an attribute value.
+
+  While the promise is pending (or if it rejects), the helper returns the
+  `placeholder` option, which defaults to `undefined`. Values that are known to
+  be resolved already (see `trackSettled`) are returned right away.
+
+  ```
+  <span class="count">{{async-value this.count placeholder="…"}}</span>
+  ```
+
+  Like the component, it ignores promises that settle after the argument has
+  changed or the helper has been destroyed, and calls `onReject` when the
+  promise rejects (by default, `Ember.onerror`, see
+  `service:async-await-config`; pass `null` to silence it). The `mode` option
+  controls how arrays and hashes are awaited, as it does for the component
+  (except for `progressive`, which needs a block to re-render).
+
+  @class helper:async-value
+  @extends Ember.Helper
+ */
+export default class AsyncValueHelper extends Helper {
+  /**
+    The app-wide defaults for the options that are not passed in.
+
+    @private
+    @property config
+    @type AsyncAwaitConfigService
+  */
+  @service('async-await-config') config;
+
+  /**
+    The most-recently awaited argument.
+
+    @private
+    @property awaited
+    @type any
+  */
+  awaited = NOT_AWAITED;
+
+  /**
+    Whether the most-recently awaited argument has been resolved.
+
+    @private
+    @property isResolved
+    @type Boolean
+    @default false
+  */
+  isResolved = false;
+
+  /**
+    If the promise has been resolved, this will contain the resolved value.
+
+    @private
+    @property resolvedValue
+    @type any
+  */
+  resolvedValue = UNINITIALIZED();
+
+  /**
+    The `onReject` callback from the most recent computation, if one was
+    passed.
+
+    @private
+    @property onReject
+    @type Function | null | undefined
+  */
+  onReject = undefined;
+
+  compute([argument], { placeholder, mode, onReject }) {
+    assert(
+      '`progressive` mode is not supported by {{async-value}}, use {{#async-await}} instead',
+      mode !== 'progressive'
+    );
+
+    this.onReject = onReject;
+    this.didReceiveArgument(argument, mode);
+
+    return this.isResolved ? this.resolvedValue : placeholder;
+  }
+
+  didReceiveArgument(argument, mode) {
+    if (isSameArgument(argument, this.awaited)) {
+      return;
+    }
+
+    let target = combine(argument, mode ?? this.defaultModeFor(argument));
+    let resolved = peekResolved(target);
+
+    this.awaited = argument;
+    this.isResolved = Boolean(resolved);
+    this.resolvedValue = resolved ? resolved.value : UNINITIALIZED();
+
+    if (resolved) {
+      return;
+    }
+
+    Promise.resolve(target).then(
+      bind(this, this.didResolve, argument),
+      bind(this, this.didReject, argument)
+    );
+  }
+
+  /**
+    The app-wide default `mode` for the given argument, except for
+    `progressive`, which is not supported by the helper.
+
+    @private
+    @method defaultModeFor
+    @param {any} argument
+    @returns String
+  */
+  defaultModeFor(argument) {
+    let mode = this.config.modeFor(argument);
+    return mode === 'progressive' ? 'all' : mode;
+  }
+
+  didResolve(resolvedArgument, value) {
+    if (this.shouldIgnorePromise(resolvedArgument)) {
+      return;
+    }
+
+    this.isResolved = true;
+    this.resolvedValue = value;
+
+    this.recompute();
+  }
+
+  didReject(rejectedArgument, rejection) {
+    if (this.shouldIgnorePromise(rejectedArgument)) {
+      return;
+    }
+
+    let reason = classifyReason(rejection);
+
+    let { onReject, config } = this;
+
+    if (onReject === undefined) {
+      if (config.onReject) {
+        config.onReject(reason, '{{async-value}}');
+      }
+    } else if (onReject) {
+      onReject(reason);
+    }
+  }
+
+  shouldIgnorePromise(argument) {
+    return this.isDestroyed || this.isDestroying || this.awaited !== argument;
+  }
+}
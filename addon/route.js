@@ -0,0 +1,111 @@
+import RSVP from 'rsvp';
+import { combineHash, isThenable, trackSettled } from './-private/utils';
+
+class Deferred {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+
+  let proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function resolveModel(model) {
+  if (!isPlainObject(model)) {
+    return model;
+  }
+
+  let awaited = {};
+  let deferredValues = {};
+
+  Object.keys(model).forEach((key) => {
+    let value = model[key];
+
+    if (!(value instanceof Deferred)) {
+      awaited[key] = value;
+    } else if (isThenable(value.value)) {
+      // So that the promises which resolve while the rest of the model is
+      // being awaited are rendered right away (and their rejections are left
+      // for `{{#async-await}}` to report).
+      deferredValues[key] = trackSettled(value.value);
+    } else {
+      deferredValues[key] = value.value;
+    }
+  });
+
+  return RSVP.resolve(combineHash(awaited)).then((resolved) => {
+    let result = {};
+
+    Object.keys(model).forEach((key) => {
+      result[key] = key in awaited ? resolved[key] : deferredValues[key];
+    });
+
+    return result;
+  });
+}
+
+/**
+  Marks a key of the hash returned by the `model` hook of an `awaitModel`
+  route as deferred: the route does not wait for it, and the promise (or
+  function) is passed as-is to the template, to be awaited there with
+  `{{#async-await}}`. See `awaitModel`.
+
+  @method deferred
+  @param {any} value
+  @returns Object
+*/
+export function deferred(value) {
+  return new Deferred(value);
+}
+
+/**
+  A class decorator for routes whose `model` hook returns (or resolves to) a
+  hash of promises. Like returning `RSVP.hash(...)`, the route waits for the
+  promises in the hash, except for the ones marked with `deferred`. Those are
+  passed to the template as-is, so that it renders right away and awaits them
+  with `{{#async-await}}`:
+
+  ```js
+  import Route from '@ember/routing/route';
+  import { awaitModel, deferred } from 'ember-async-await-helper/route';
+
+  @awaitModel
+  export default class PostRoute extends Route {
+    model({ post_id }) {
+      return {
+        post: this.store.findRecord('post', post_id),
+        comments: deferred(this.store.query('comment', { post: post_id })),
+      };
+    }
+  }
+  ```
+
+  ```hbs
+  <h1>{{@model.post.title}}</h1>
+
+  {{#async-await @model.comments as |comments|}}
+    <CommentList @comments={{comments}} />
+  {{else}}
+    <LoadingSpinner />
+  {{/async-await}}
+  ```
+
+  Any other value returned by the `model` hook is left untouched.
+
+  @method awaitModel
+  @param {Class} RouteClass
+  @returns Class
+*/
+export function awaitModel(RouteClass) {
+  return class extends RouteClass {
+    model() {
+      return RSVP.resolve(super.model(...arguments)).then(resolveModel);
+    }
+  };
+}
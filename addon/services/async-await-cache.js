@@ -0,0 +1,170 @@
+import Service from '@ember/service';
+import { getOwner } from '@ember/application';
+
+const SHOEBOX_KEY = 'ember-async-await-helper';
+
+/**
+  Memoizes the resolved values of `{{#async-await}}` components that are given
+  a `cacheKey`, so that other (or remounted) components with the same key can
+  render the value right away instead of passing through the pending state.
+
+  Rejections are never cached, so that they can be retried.
+
+  Under FastBoot, the values cached for string keys are serialized into the
+  shoebox (so they must be JSON-serializable), and they are cached again when
+  the app boots in the browser.
+
+  ```js
+  import Route from '@ember/routing/route';
+  import { inject as service } from '@ember/service';
+
+  export default class UsersRoute extends Route {
+    @service asyncAwaitCache;
+
+    async createUser(attributes) {
+      await this.store.createRecord('user', attributes).save();
+      this.asyncAwaitCache.invalidate('users');
+    }
+  }
+  ```
+
+  @class service:async-await-cache
+  @extends Ember.Service
+ */
+export default class AsyncAwaitCacheService extends Service {
+  /**
+    The default time (in milliseconds) to keep values for, when neither
+    `store` nor the component is given one. Defaults to `null`, i.e. values are
+    kept until they are invalidated.
+
+    @public
+    @property ttl
+    @type Number | null
+    @default null
+  */
+  ttl = null;
+
+  /**
+    The cached entries by key, each with a `value` and an `expiresAt`
+    timestamp (or `null`).
+
+    @private
+    @property entries
+    @type Map
+  */
+  entries = new Map();
+
+  constructor() {
+    super(...arguments);
+
+    let { fastboot } = this;
+
+    if (fastboot && !fastboot.isFastBoot) {
+      let serialized = fastboot.shoebox.retrieve(SHOEBOX_KEY);
+
+      if (serialized) {
+        Object.keys(serialized).forEach((key) =>
+          this.entries.set(key, serialized[key])
+        );
+      }
+    }
+  }
+
+  /**
+    The `fastboot` service, if the app uses `ember-cli-fastboot`.
+
+    @private
+    @property fastboot
+    @type Service | undefined
+  */
+  get fastboot() {
+    return getOwner(this).lookup('service:fastboot');
+  }
+
+  /**
+    Returns the cache entry for the given key, i.e. an object with the cached
+    `value`, or `undefined` if there is none or it has expired.
+
+    @public
+    @method lookup
+    @param {any} key
+    @returns Object | undefined
+  */
+  lookup(key) {
+    let entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry;
+  }
+
+  /**
+    Caches the given value for the given key, replacing any previous value.
+
+    @public
+    @method store
+    @param {any} key
+    @param {any} value
+    @param {Number | null} [ttl] defaults to the service's `ttl`
+  */
+  store(key, value, ttl = this.ttl) {
+    this.entries.set(key, {
+      value,
+      expiresAt: typeof ttl === 'number' ? Date.now() + ttl : null,
+    });
+
+    this.serialize();
+  }
+
+  /**
+    Removes the value for the given key, so that the next component to await
+    it has to wait for its argument again.
+
+    @public
+    @method invalidate
+    @param {any} key
+  */
+  invalidate(key) {
+    this.entries.delete(key);
+    this.serialize();
+  }
+
+  /**
+    Removes all of the cached values.
+
+    @public
+    @method clear
+  */
+  clear() {
+    this.entries.clear();
+    this.serialize();
+  }
+
+  /**
+    Puts the entries with string keys into the shoebox, when running in
+    FastBoot.
+
+    @private
+    @method serialize
+  */
+  serialize() {
+    let { fastboot } = this;
+
+    if (!fastboot || !fastboot.isFastBoot) {
+      return;
+    }
+
+    let serialized = {};
+
+    this.entries.forEach((entry, key) => {
+      if (typeof key === 'string') {
+        serialized[key] = entry;
+      }
+    });
+
+    fastboot.shoebox.put(SHOEBOX_KEY, serialized);
+  }
+}
@@ -0,0 +1,214 @@
+import Service from '@ember/service';
+import { getOwner } from '@ember/application';
+import { AbortError } from '../errors';
+import { reportRejection } from '../-private/utils';
+
+const CONFIG_KEY = 'ember-async-await-helper';
+
+/**
+  The app-wide defaults for `{{#async-await}}` and `{{async-value}}`, used
+  whenever an option is not passed to them.
+
+  The defaults can be set in `config/environment.js`, under the
+  `ember-async-await-helper` key:
+
+  ```js
+  ENV['ember-async-await-helper'] = {
+    pendingDelay: 200,
+    rejectionMessage: 'Failed to load data in {source}: {reason}',
+  };
+  ```
+
+  Since functions cannot be stored in `config/environment.js`, to change the
+  default `onReject` handler, define an `async-await-config` service in your
+  app that extends this one instead (values defined there take precedence over
+  `config/environment.js`):
+
+  ```js
+  // app/services/async-await-config.js
+  import { inject as service } from '@ember/service';
+  import AsyncAwaitConfigService from 'ember-async-await-helper/services/async-await-config';
+
+  export default class extends AsyncAwaitConfigService {
+    @service flashMessages;
+
+    onReject(reason, source) {
+      this.flashMessages.danger(this.messageFor(reason, source));
+    }
+  }
+  ```
+
+  @class service:async-await-config
+  @extends Ember.Service
+ */
+export default class AsyncAwaitConfigService extends Service {
+  /**
+    The default `mode` for arrays: `all`, `allSettled` or `race`.
+
+    @public
+    @property arrayMode
+    @type String
+    @default 'all'
+  */
+  arrayMode = 'all';
+
+  /**
+    The default `mode` for hashes: `all`, `hashSettled` or `progressive`.
+    Since `{{async-value}}` does not support `progressive`, it uses `all`
+    instead.
+
+    @public
+    @property hashMode
+    @type String
+    @default 'all'
+  */
+  hashMode = 'all';
+
+  /**
+    The default `keepLatest` for `{{#async-await}}`.
+
+    @public
+    @property keepLatest
+    @type Boolean
+    @default false
+  */
+  keepLatest = false;
+
+  /**
+    The default number of `retries` for `{{#async-await}}`.
+
+    @public
+    @property retries
+    @type Number
+    @default 0
+  */
+  retries = 0;
+
+  /**
+    The default `backoff` for `{{#async-await}}`.
+
+    @public
+    @property backoff
+    @type Number | Function
+    @default 0
+  */
+  backoff = 0;
+
+  /**
+    The default `timeout` for `{{#async-await}}`.
+
+    @public
+    @property timeout
+    @type Number | null
+    @default null
+  */
+  timeout = null;
+
+  /**
+    The default `pendingDelay` for `{{#async-await}}`.
+
+    @public
+    @property pendingDelay
+    @type Number
+    @default 0
+  */
+  pendingDelay = 0;
+
+  /**
+    The default `minPendingDuration` for `{{#async-await}}`.
+
+    @public
+    @property minPendingDuration
+    @type Number
+    @default 0
+  */
+  minPendingDuration = 0;
+
+  /**
+    The default `useTestWaiters` for `{{#async-await}}`.
+
+    @public
+    @property useTestWaiters
+    @type Boolean
+    @default true
+  */
+  useTestWaiters = true;
+
+  /**
+    The message of the error reported by the default `onReject` handler. In a
+    string, `{source}` is replaced with the invocation the rejection comes
+    from (e.g. `{{#async-await}}`), and `{reason}` with the rejection reason.
+    It can also be a function, which is called with the reason and the source.
+
+    @public
+    @property rejectionMessage
+    @type String | Function
+    @default 'Unhandled promise rejection in {source}: {reason}'
+  */
+  rejectionMessage = 'Unhandled promise rejection in {source}: {reason}';
+
+  constructor() {
+    super(...arguments);
+
+    let config = getOwner(this).resolveRegistration('config:environment');
+
+    if (config && config[CONFIG_KEY]) {
+      Object.assign(this, config[CONFIG_KEY]);
+    }
+  }
+
+  /**
+    The default `mode` for the given argument, i.e. `arrayMode` for an array,
+    and `hashMode` otherwise.
+
+    @public
+    @method modeFor
+    @param {any} value
+    @returns String
+  */
+  modeFor(value) {
+    return Array.isArray(value) ? this.arrayMode : this.hashMode;
+  }
+
+  /**
+    The default `onReject` handler, called with the (classified, see
+    `classifyReason`) rejection reason and the invocation it comes from. By
+    default, it ignores `AbortError`s, and otherwise calls `Ember.onerror` with
+    an error object with the `rejectionMessage` as its message and its `reason`
+    property set to the rejection reason, or `console.assert` if there is no
+    `Ember.onerror`. Set it to `null` to silence rejections by default.
+
+    @public
+    @method onReject
+    @param {any} reason
+    @param {String} source
+  */
+  onReject(reason, source) {
+    if (reason instanceof AbortError) {
+      return;
+    }
+
+    reportRejection(reason, this.messageFor(reason, source));
+  }
+
+  /**
+    Formats the `rejectionMessage` for the given rejection.
+
+    @public
+    @method messageFor
+    @param {any} reason
+    @param {String} source
+    @returns String
+  */
+  messageFor(reason, source) {
+    let { rejectionMessage } = this;
+
+    if (typeof rejectionMessage === 'function') {
+      return rejectionMessage(reason, source);
+    }
+
+    return rejectionMessage
+      .replace('{source}', () => source)
+      .replace('{reason}', () => `${reason}`);
+  }
+}
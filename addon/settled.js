@@ -0,0 +1,22 @@
+/**
+  Keeps track of the given promise's resolved value, so that once it has
+  resolved, `{{#async-await}}` and `{{async-value}}` can render the value on
+  their first render, instead of rendering the pending state for a tick while
+  they wait for the promise themselves. Returns the promise.
+
+  This is not needed for plain values or RSVP promises, which are known to be
+  resolved already.
+
+  ```js
+  import { trackSettled } from 'ember-async-await-helper/settled';
+
+  export default class UsersService extends Service {
+    users = trackSettled(fetch('/users.json').then((response) => response.json()));
+  }
+  ```
+
+  @method trackSettled
+  @param {Promise} promise
+  @returns Promise
+*/
+export { trackSettled } from './-private/utils';
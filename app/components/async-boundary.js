@@ -0,0 +1 @@
+export { default } from 'ember-async-await-helper/components/async-boundary';
@@ -2,4 +2,25 @@
 
 module.exports = {
   name: require('./package').name,
+
+  setupPreprocessorRegistry(type, registry) {
+    if (type === 'parent') {
+      registry.add('htmlbars-ast-plugin', this._buildPositionalParamsPlugin());
+    }
+  },
+
+  _buildPositionalParamsPlugin() {
+    return {
+      name: 'async-await-positional-params',
+      plugin: require('./lib/positional-params-transform'),
+      baseDir() {
+        return __dirname;
+      },
+      parallelBabel: {
+        requireFile: __filename,
+        buildUsing: '_buildPositionalParamsPlugin',
+        params: {},
+      },
+    };
+  },
 };
@@ -0,0 +1,86 @@
+'use strict';
+
+/*
+  Glimmer components do not support positional params, so this AST transform
+  rewrites the classic positional form of the component into the `promise`
+  named argument at build time:
+
+    {{#async-await this.promise as |value|}}   =>   {{#async-await promise=this.promise as |value|}}
+    {{component "async-await" this.promise}}   =>   {{component "async-await" promise=this.promise}}
+*/
+
+const COMPONENT_NAME = 'async-await';
+
+function isAsyncAwait(node) {
+  return (
+    node.path.type === 'PathExpression' && node.path.original === COMPONENT_NAME
+  );
+}
+
+function isComponentHelperForAsyncAwait(node) {
+  return (
+    node.path.type === 'PathExpression' &&
+    node.path.original === 'component' &&
+    node.params.length > 0 &&
+    node.params[0].type === 'StringLiteral' &&
+    node.params[0].value === COMPONENT_NAME
+  );
+}
+
+function locationFor(node, moduleName) {
+  let { line, column } = node.loc.start;
+  return `${moduleName || 'a template'} (L${line}:C${column})`;
+}
+
+function positionalParamsTransform(env) {
+  let { builders: b } = env.syntax;
+  let moduleName = env.meta && env.meta.moduleName;
+
+  function transform(node, offset) {
+    let params = node.params.slice(offset);
+
+    if (params.length === 0) {
+      return;
+    }
+
+    if (params.length > 1) {
+      throw new Error(
+        `{{${COMPONENT_NAME}}} only accepts a single positional argument, but was given ${
+          params.length
+        } in ${locationFor(node, moduleName)}`
+      );
+    }
+
+    if (node.hash.pairs.some((pair) => pair.key === 'promise')) {
+      throw new Error(
+        `{{${COMPONENT_NAME}}} cannot be given both a positional argument and \`promise\` in ${locationFor(
+          node,
+          moduleName
+        )}`
+      );
+    }
+
+    node.params = node.params.slice(0, offset);
+    node.hash.pairs.push(b.pair('promise', params[0]));
+  }
+
+  function visit(node) {
+    if (isAsyncAwait(node)) {
+      transform(node, 0);
+    } else if (isComponentHelperForAsyncAwait(node)) {
+      transform(node, 1);
+    }
+  }
+
+  return {
+    name: 'async-await-positional-params',
+
+    visitor: {
+      MustacheStatement: visit,
+      BlockStatement: visit,
+      SubExpression: visit,
+    },
+  };
+}
+
+module.exports = positionalParamsTransform;
@@ -0,0 +1,18 @@
+/**
+  Creates a `fetch` `Response` with the given status, or an object that looks
+  like one in environments without `fetch`.
+*/
+export function responseFor(status, statusText) {
+  if (typeof Response === 'function') {
+    return new Response(null, { status, statusText });
+  }
+
+  return {
+    status,
+    statusText,
+    ok: status >= 200 && status < 300,
+    url: '',
+    headers: {},
+    json() {},
+  };
+}
@@ -1,10 +1,22 @@
 import { module, test } from 'qunit';
 import { setupRenderingTest } from 'ember-qunit';
-import { render, settled } from '@ember/test-helpers';
+import { click, render, settled, waitUntil } from '@ember/test-helpers';
 import { helper } from '@ember/component/helper';
+import { A } from '@ember/array';
 import hbs from 'htmlbars-inline-precompile';
 import Ember from 'ember';
+import Service from '@ember/service';
 import RSVP from 'rsvp';
+import { hasPendingWaiters } from '@ember/test-waiters';
+import {
+  AbortError,
+  HttpError,
+  NetworkError,
+  TimeoutError,
+} from 'ember-async-await-helper/errors';
+import { responseFor } from '../../helpers/response-for';
+import { trackSettled } from 'ember-async-await-helper/settled';
+import AsyncAwaitConfigService from 'ember-async-await-helper/services/async-await-config';
 
 module('Integration | Component | async-await', function (hooks) {
   setupRenderingTest(hooks);
@@ -186,7 +198,7 @@ module('Integration | Component | async-await', function (hooks) {
         this.set('promise', promise);
 
         await render(hbs`
-          {{#async-await this.promise as |value|}}
+          {{#async-await this.promise useTestWaiters=false as |value|}}
             resolved {{value}}
           {{/async-await}}
         `);
@@ -205,7 +217,7 @@ module('Integration | Component | async-await', function (hooks) {
         this.set('promise', promise);
 
         await render(hbs`
-          {{#async-await this.promise as |value|}}
+          {{#async-await this.promise useTestWaiters=false as |value|}}
             resolved {{value}}
           {{else}}
             pending...
@@ -242,7 +254,7 @@ module('Integration | Component | async-await', function (hooks) {
         this.set('promise', promise);
 
         await render(hbs`
-          {{#async-await this.promise as |value|}}
+          {{#async-await this.promise useTestWaiters=false as |value|}}
             resolved {{value}}
           {{else}}
             pending...
@@ -271,7 +283,7 @@ module('Integration | Component | async-await', function (hooks) {
         });
 
         await render(hbs`
-          {{#async-await this.promise onReject=this.onReject as |value|}}
+          {{#async-await this.promise onReject=this.onReject useTestWaiters=false as |value|}}
             resolved {{value}}
           {{else}}
             pending...
@@ -294,7 +306,7 @@ module('Integration | Component | async-await', function (hooks) {
         this.set('promise', promise);
 
         await render(hbs`
-          {{#async-await this.promise onReject=null as |value|}}
+          {{#async-await this.promise onReject=null useTestWaiters=false as |value|}}
             resolved {{value}}
           {{else}}
             pending...
@@ -309,14 +321,140 @@ module('Integration | Component | async-await', function (hooks) {
         assert.dom().hasText('pending...');
       });
 
-      test('it resets its state when the promise changes', async function (assert) {
+      test('it renders the named blocks for each state', async function (assert) {
+        let { promise, resolve } = makePromise();
+
+        this.set('promise', promise);
+
+        await render(hbs`
+          <AsyncAwait @promise={{this.promise}} @useTestWaiters={{false}}>
+            <:pending>pending...</:pending>
+            <:resolved as |value|>resolved {{value}}</:resolved>
+            <:rejected as |reason|>rejected {{reason}}</:rejected>
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('pending...');
+
+        resolve('value');
+        await settled();
+
+        assert.dom().hasText('resolved value');
+      });
+
+      test('it renders the rejected block with the rejection reason', async function (assert) {
+        let { promise, reject } = makePromise();
+
+        this.set('promise', promise);
+
+        await render(hbs`
+          <AsyncAwait @promise={{this.promise}} @onReject={{null}} @useTestWaiters={{false}}>
+            <:pending>pending...</:pending>
+            <:resolved as |value|>resolved {{value}}</:resolved>
+            <:rejected as |reason|>rejected {{reason}}</:rejected>
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('pending...');
+
+        reject('promise rejected');
+        await settled();
+
+        assert.dom().hasText('rejected promise rejected');
+      });
+
+      test('it still calls onReject when there is a rejected block', async function (assert) {
+        await expectRejection('promise rejected', () => {
+          this.set('promise', makeRejectedPromise('promise rejected'));
+
+          return render(hbs`
+            <AsyncAwait @promise={{this.promise}}>
+              <:rejected as |reason|>rejected {{reason}}</:rejected>
+            </AsyncAwait>
+          `);
+        });
+
+        assert.dom().hasText('rejected promise rejected');
+      });
+
+      test('it remains in the pending block if the promise rejects without a rejected block', async function (assert) {
+        this.set('promise', makeRejectedPromise('promise rejected'));
+
+        await render(hbs`
+          <AsyncAwait @promise={{this.promise}} @onReject={{null}}>
+            <:pending>pending...</:pending>
+            <:resolved as |value|>resolved {{value}}</:resolved>
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('pending...');
+      });
+
+      test('it yields a state object in every state when yieldState is set', async function (assert) {
+        let { promise, resolve } = makePromise();
+
+        this.set('promise', promise);
+
+        this.owner.register(
+          'helper:eq',
+          helper(([a, b]) => a === b)
+        );
+
+        await render(hbs`
+          {{#async-await this.promise yieldState=true useTestWaiters=false as |state|}}
+            {{#if state.isResolved}}
+              resolved {{state.value}}
+            {{else if state.isRejected}}
+              rejected {{state.reason}}
+            {{else if state.isPending}}
+              pending...
+            {{/if}}
+            {{if state.isSettled "settled"}}
+            {{if (eq state.awaited this.promise) "same promise"}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('pending... same promise');
+
+        resolve('value');
+        await settled();
+
+        assert.dom().hasText('resolved value settled same promise');
+      });
+
+      test('it yields the rejection reason in the state object', async function (assert) {
+        let { promise, reject } = makePromise();
+
+        this.set('promise', promise);
+
+        await render(hbs`
+          {{#async-await this.promise yieldState=true onReject=null useTestWaiters=false as |state|}}
+            {{#if state.isResolved}}
+              resolved {{state.value}}
+            {{else if state.isRejected}}
+              rejected {{state.reason}}
+            {{else if state.isPending}}
+              pending...
+            {{/if}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('pending...');
+
+        reject('promise rejected');
+        await settled();
+
+        assert.dom().hasText('rejected promise rejected');
+      });
+
+      test('it keeps the previous value while the new promise is pending with keepLatest', async function (assert) {
         let { promise: first, resolve: resolveFirst } = makePromise('first');
 
         this.set('promise', first);
 
         await render(hbs`
-          {{#async-await this.promise as |value|}}
-            resolved {{value}}
+          {{#async-await this.promise keepLatest=true useTestWaiters=false as |value state|}}
+            resolved {{value}}{{if state.isReloading " (reloading)"}}
           {{else}}
             pending...
           {{/async-await}}
@@ -324,19 +462,13 @@ module('Integration | Component | async-await', function (hooks) {
 
         assert
           .dom()
-          .hasText(
-            'pending...',
-            'shows inverse block while awaiting first promise'
-          );
+          .hasText('pending...', 'shows inverse block before the first value');
 
         resolveFirst('first');
         await settled();
 
-        assert
-          .dom()
-          .hasText('resolved first', 'shows resolved value for first promise');
+        assert.dom().hasText('resolved first');
 
-        // We will resolve this later, after switching out the promise
         let { promise: second, resolve: resolveSecond } = makePromise('second');
 
         this.set('promise', second);
@@ -345,213 +477,2358 @@ module('Integration | Component | async-await', function (hooks) {
         assert
           .dom()
           .hasText(
-            'pending...',
-            'shows inverse block while awaiting second promise'
+            'resolved first (reloading)',
+            'keeps showing the first value while awaiting second promise'
           );
 
-        // We will reject this later, after switching out the promise
-        let { promise: third, reject: rejectThird } = makePromise('third');
-
-        this.set('promise', third);
+        resolveSecond('second');
         await settled();
 
-        assert
-          .dom()
-          .hasText(
-            'pending...',
-            'shows inverse block while awaiting third promise'
-          );
-
-        this.set('promise', Promise.resolve('fourth'));
-        await settled();
+        assert.dom().hasText('resolved second');
+      });
 
-        assert
-          .dom()
-          .hasText(
-            'resolved fourth',
-            'shows resolved value for fourth promise'
-          );
+      test('it drops the previous value if the new promise rejects with keepLatest', async function (assert) {
+        this.set('promise', Promise.resolve('first'));
 
-        await expectRejection('rejected fifth', () => {
-          this.set('promise', makeRejectedPromise('rejected fifth'));
-        });
+        await render(hbs`
+          {{#async-await this.promise keepLatest=true onReject=null as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending...
+          {{/async-await}}
+        `);
 
-        assert
-          .dom()
-          .hasText(
-            'pending...',
-            'shows inverse block while awaiting fifth promise'
-          );
+        assert.dom().hasText('resolved first');
 
-        // Resolving a no-longer-relevant promise should be no-op
-        resolveSecond('second');
+        this.set('promise', makeRejectedPromise('rejected second'));
         await settled();
 
-        assert
-          .dom()
-          .hasText(
-            'pending...',
-            'shows inverse block even though second promise was resolved'
-          );
+        assert.dom().hasText('pending...');
+      });
 
-        // Rejecting a no-longer-relevant promise should not error
-        rejectThird('rejected third');
-        await settled();
+      test('it retries a function argument when the promise rejects', async function (assert) {
+        let calls = 0;
 
-        assert
-          .dom()
-          .hasText(
-            'pending...',
-            'shows inverse block even though third promise was rejected'
-          );
+        this.set('fetch', () => {
+          calls++;
 
-        // Recycling an already-resolved promise is the same as Promise.resolve
-        this.set('promise', first);
-        await settled();
+          return calls < 3
+            ? makeRejectedPromise(`rejected ${calls}`)
+            : Promise.resolve(`value ${calls}`);
+        });
 
-        assert
-          .dom()
-          .hasText('resolved first', 'shows resolved value for first promise');
+        await render(hbs`
+          {{#async-await this.fetch retries=2 as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending...
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('resolved value 3');
+        assert.equal(calls, 3);
       });
 
-      test('does nothing when the promise resolves if the component has been destroyed', async function (assert) {
-        let { promise, resolve } = makePromise();
+      test('it rejects once the retries are exhausted', async function (assert) {
+        let calls = 0;
 
-        this.set('promise', promise);
-        this.set('shouldShow', true);
+        this.set('fetch', () => {
+          calls++;
+          return makeRejectedPromise('promise rejected');
+        });
 
-        await render(hbs`
-          {{#if this.shouldShow}}
-            {{#async-await this.promise onReject=null as |value|}}
+        await expectRejection('promise rejected', () =>
+          render(hbs`
+            {{#async-await this.fetch retries=2 as |value|}}
               resolved {{value}}
             {{else}}
               pending...
             {{/async-await}}
-          {{/if}}
-        `);
+          `)
+        );
 
         assert.dom().hasText('pending...');
+        assert.equal(calls, 3);
+      });
 
-        this.set('shouldShow', false);
+      test('it waits for the backoff before retrying', async function (assert) {
+        let delays = [];
+        let calls = 0;
 
-        resolve('value');
-        await settled();
+        this.set('fetch', () => {
+          calls++;
 
-        assert.dom().hasText('');
+          return calls < 4
+            ? makeRejectedPromise(`rejected ${calls}`)
+            : Promise.resolve(`value ${calls}`);
+        });
+
+        this.set('backoff', (attempt, reason) => {
+          delays.push([attempt, reason]);
+          return 10;
+        });
+
+        await render(hbs`
+          {{#async-await this.fetch retries=3 backoff=this.backoff as |value|}}
+            resolved {{value}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('resolved value 4');
+        assert.deepEqual(delays, [
+          [1, 'rejected 1'],
+          [2, 'rejected 2'],
+          [3, 'rejected 3'],
+        ]);
       });
 
-      test('does nothing when the promise rejects if the component has been destroyed', async function (assert) {
+      test('it yields a retry action to the rejected block', async function (assert) {
+        let calls = 0;
+
+        this.set('fetch', () => {
+          calls++;
+
+          return calls < 2
+            ? makeRejectedPromise('promise rejected')
+            : Promise.resolve('value');
+        });
+
+        await render(hbs`
+          <AsyncAwait @promise={{this.fetch}} @onReject={{null}}>
+            <:pending>pending...</:pending>
+            <:resolved as |value|>resolved {{value}}</:resolved>
+            <:rejected as |reason state|>
+              <button type="button" {{on "click" state.retry}}>{{reason}}</button>
+            </:rejected>
+          </AsyncAwait>
+        `);
+
+        assert.dom('button').hasText('promise rejected');
+
+        await click('button');
+
+        assert.dom().hasText('resolved value');
+        assert.equal(calls, 2);
+      });
+
+      test('it does not retry after the component has been destroyed', async function (assert) {
         let { promise, reject } = makePromise();
+        let calls = 0;
+        let scheduled = false;
+
+        this.set('fetch', () => {
+          calls++;
+          return promise;
+        });
+
+        this.set('backoff', () => {
+          scheduled = true;
+          return 1000;
+        });
 
-        this.set('promise', promise);
         this.set('shouldShow', true);
 
         await render(hbs`
           {{#if this.shouldShow}}
-            {{#async-await this.promise onReject=null as |value|}}
+            {{#async-await this.fetch retries=1 backoff=this.backoff onReject=null useTestWaiters=false as |value|}}
               resolved {{value}}
-            {{else}}
-              pending...
             {{/async-await}}
           {{/if}}
         `);
 
-        assert.dom().hasText('pending...');
-
-        this.set('shouldShow', false);
+        assert.equal(calls, 1);
 
         reject('promise rejected');
+        await waitUntil(() => scheduled);
+
+        this.set('shouldShow', false);
         await settled();
 
-        assert.dom().hasText('');
+        assert.equal(calls, 1, 'the scheduled retry was cancelled');
       });
 
-      test('it does not rerender infinitely', async function (assert) {
-        this.set('promise', Promise.resolve('value'));
+      test('it calls a function argument and awaits the returned promise', async function (assert) {
+        let { promise, resolve } = makePromise();
+        let calls = 0;
+
+        this.set('fetch', () => {
+          calls++;
+          return promise;
+        });
 
         await render(hbs`
-          {{#async-await this.promise}}
-            {{#async-await this.promise}}
-              {{#async-await this.promise}}
-                {{#async-await this.promise}}
-                  {{#async-await this.promise}}
-                    {{#async-await this.promise}}
-                      {{#async-await this.promise}}
-                        {{#async-await this.promise}}
-                          {{#async-await this.promise}}
-                            {{#async-await this.promise}}
-                              {{#async-await this.promise}}
-                                {{#async-await this.promise as |value|}}
-                                  resolved {{value}}
-                                {{/async-await}}
-                              {{/async-await}}
-                            {{/async-await}}
-                          {{/async-await}}
-                        {{/async-await}}
-                      {{/async-await}}
-                    {{/async-await}}
-                  {{/async-await}}
-                {{/async-await}}
-              {{/async-await}}
-            {{/async-await}}
+          {{#async-await this.fetch useTestWaiters=false as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending...
           {{/async-await}}
         `);
 
+        assert.dom().hasText('pending...');
+        assert.equal(calls, 1);
+
+        resolve('value');
+        await settled();
+
         assert.dom().hasText('resolved value');
+        assert.equal(calls, 1, 'does not call the function on rerender');
       });
 
-      module('with no Ember.onerror', function (hooks) {
-        hooks.beforeEach(function (assert) {
-          // NOTE: this gets reset in the outer module
+      test('it rejects when a function argument throws', async function (assert) {
+        this.set('fetch', () => {
+          throw 'function threw';
+        });
+
+        await expectRejection('function threw', () =>
+          render(hbs`
+            {{#async-await this.fetch as |value|}}
+              resolved {{value}}
+            {{else}}
+              pending...
+            {{/async-await}}
+          `)
+        );
+
+        assert.dom().hasText('pending...');
+      });
+
+      test('it yields a reload action that calls the function again', async function (assert) {
+        let deferreds = [];
+
+        this.set('fetch', () => {
+          let deferred = makePromise();
+          deferreds.push(deferred);
+          return deferred.promise;
+        });
+
+        await render(hbs`
+          {{#async-await this.fetch useTestWaiters=false as |value state|}}
+            resolved {{value}}
+            <button type="button" {{on "click" state.reload}}>reload</button>
+          {{else}}
+            pending...
+          {{/async-await}}
+        `);
+
+        deferreds[0].resolve('first');
+        await settled();
+
+        assert.dom().hasText('resolved first reload');
+
+        await click('button');
+
+        assert.equal(deferreds.length, 2, 'calls the function again');
+        assert.dom().hasText('pending...', 're-enters the pending state');
+
+        // Settling the previous invocation late should be a no-op
+        deferreds[0].resolve('stale');
+        deferreds[1].resolve('second');
+        await settled();
+
+        assert.dom().hasText('resolved second reload');
+      });
+
+      test('it ignores the previous invocation if it settles after a reload', async function (assert) {
+        let deferreds = [];
+
+        this.set('fetch', () => {
+          let deferred = makePromise();
+          deferreds.push(deferred);
+          return deferred.promise;
+        });
+
+        await render(hbs`
+          {{#async-await this.fetch yieldState=true useTestWaiters=false as |state|}}
+            {{if state.isResolved state.value "pending..."}}
+            <button type="button" {{on "click" state.reload}}>reload</button>
+          {{/async-await}}
+        `);
+
+        await click('button');
+
+        assert.equal(deferreds.length, 2);
+
+        deferreds[0].resolve('first');
+        await settled();
+
+        assert.dom().hasText('pending... reload');
+
+        deferreds[1].resolve('second');
+        await settled();
+
+        assert.dom().hasText('second reload');
+      });
+
+      test('it keeps the previous value while reloading with keepLatest', async function (assert) {
+        let deferreds = [];
+
+        this.set('fetch', () => {
+          let deferred = makePromise();
+          deferreds.push(deferred);
+          return deferred.promise;
+        });
+
+        await render(hbs`
+          {{#async-await this.fetch keepLatest=true useTestWaiters=false as |value state|}}
+            resolved {{value}}{{if state.isReloading " (reloading)"}}
+            <button type="button" {{on "click" state.reload}}>reload</button>
+          {{/async-await}}
+        `);
+
+        deferreds[0].resolve('first');
+        await settled();
+
+        await click('button');
+
+        assert.dom().hasText('resolved first (reloading) reload');
+
+        deferreds[1].resolve('second');
+        await settled();
+
+        assert.dom().hasText('resolved second reload');
+      });
+
+      test('it aborts the signal when the argument changes', async function (assert) {
+        let signals = [];
+
+        let fetch = (signal) => {
+          signals.push(signal);
+          return makePromise().promise;
+        };
+
+        this.set('fetch', fetch);
+
+        await render(hbs`
+          {{#async-await this.fetch useTestWaiters=false as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending...
+          {{/async-await}}
+        `);
+
+        assert.equal(signals.length, 1);
+        assert.ok(signals[0] instanceof AbortSignal, 'passes an AbortSignal');
+        assert.false(signals[0].aborted);
+
+        this.set('fetch', (signal) => fetch(signal));
+        await settled();
+
+        assert.equal(signals.length, 2);
+        assert.true(signals[0].aborted, 'aborts the previous signal');
+        assert.false(signals[1].aborted, 'does not abort the new signal');
+
+        this.set('fetch', Promise.resolve('value'));
+        await settled();
+
+        assert.true(
+          signals[1].aborted,
+          'aborts the signal when replaced with a promise'
+        );
+        assert.dom().hasText('resolved value');
+      });
+
+      test('it aborts the signal when reloading', async function (assert) {
+        let signals = [];
+
+        this.set('fetch', (signal) => {
+          signals.push(signal);
+          return makePromise().promise;
+        });
+
+        await render(hbs`
+          {{#async-await this.fetch yieldState=true useTestWaiters=false as |state|}}
+            <button type="button" {{on "click" state.reload}}>reload</button>
+          {{/async-await}}
+        `);
+
+        await click('button');
+
+        assert.equal(signals.length, 2);
+        assert.true(signals[0].aborted);
+        assert.false(signals[1].aborted);
+      });
+
+      test('it aborts the signal when the component is destroyed', async function (assert) {
+        let signal;
+
+        this.set('fetch', (s) => {
+          signal = s;
+          return makePromise().promise;
+        });
+
+        this.set('shouldShow', true);
+
+        await render(hbs`
+          {{#if this.shouldShow}}
+            {{#async-await this.fetch useTestWaiters=false as |value|}}
+              resolved {{value}}
+            {{/async-await}}
+          {{/if}}
+        `);
+
+        assert.false(signal.aborted);
+
+        this.set('shouldShow', false);
+        await settled();
+
+        assert.true(signal.aborted);
+      });
+
+      test('it renders the timeout block if the promise is still pending after the timeout', async function (assert) {
+        let { promise, resolve } = makePromise();
+        let reasons = [];
+
+        this.set('promise', promise);
+        this.set('onReject', (reason) => reasons.push(reason));
+
+        await render(hbs`
+          <AsyncAwait @promise={{this.promise}} @timeout={{10}} @onReject={{this.onReject}}>
+            <:pending>pending...</:pending>
+            <:resolved as |value|>resolved {{value}}</:resolved>
+            <:rejected as |reason|>rejected {{reason}}</:rejected>
+            <:timeout as |error state|>
+              timed out after {{error.timeout}}ms{{if state.isTimedOut "!"}}
+            </:timeout>
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('timed out after 10ms!');
+        assert.equal(reasons.length, 1, 'calls onReject');
+        assert.ok(reasons[0] instanceof TimeoutError, 'with a TimeoutError');
+        assert.equal(reasons[0].name, 'TimeoutError');
+        assert.equal(reasons[0].timeout, 10);
+
+        // Settling the original promise after the timeout should be a no-op
+        resolve('value');
+        await settled();
+
+        assert.dom().hasText('timed out after 10ms!');
+        assert.equal(reasons.length, 1);
+      });
+
+      test('it renders the rejected block on timeout if there is no timeout block', async function (assert) {
+        this.set('promise', makePromise().promise);
+
+        await render(hbs`
+          <AsyncAwait @promise={{this.promise}} @timeout={{10}} @onReject={{null}}>
+            <:pending>pending...</:pending>
+            <:rejected as |reason state|>
+              rejected {{reason.message}}{{if state.isRejected "!"}}
+            </:rejected>
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('rejected Timed out after 10ms!');
+      });
+
+      test('it does not time out if the promise settles in time', async function (assert) {
+        let { promise, resolve } = makePromise();
+
+        this.set('promise', promise);
+
+        resolve('value');
+
+        await render(hbs`
+          <AsyncAwait @promise={{this.promise}} @timeout={{10}}>
+            <:resolved as |value|>resolved {{value}}</:resolved>
+            <:timeout>timed out</:timeout>
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('resolved value');
+
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        await settled();
+
+        assert.dom().hasText('resolved value');
+      });
+
+      test('it does not retry after timing out', async function (assert) {
+        let calls = 0;
+
+        this.set('fetch', () => {
+          calls++;
+          return makePromise().promise;
+        });
+
+        await render(hbs`
+          <AsyncAwait @promise={{this.fetch}} @timeout={{10}} @retries={{3}} @onReject={{null}}>
+            <:timeout>timed out</:timeout>
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('timed out');
+        assert.equal(calls, 1);
+      });
+
+      test('it does not show the pending block until the pendingDelay has passed', async function (assert) {
+        let { promise, resolve } = makePromise();
+
+        this.set('promise', promise);
+
+        let rendering = render(hbs`
+          {{#async-await this.promise pendingDelay=100 useTestWaiters=false as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending...
+          {{/async-await}}
+        `);
+
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        assert.dom().hasText('', 'renders nothing during the delay');
+
+        await rendering;
+
+        assert
+          .dom()
+          .hasText('pending...', 'shows the pending block after the delay');
+
+        resolve('value');
+        await settled();
+
+        assert.dom().hasText('resolved value');
+      });
+
+      test('it never shows the pending block if the promise resolves within the pendingDelay', async function (assert) {
+        let { promise, resolve } = makePromise();
+        let shown = 0;
+
+        this.set('promise', promise);
+
+        this.owner.register(
+          'helper:track-pending',
+          helper(() => {
+            shown++;
+            return 'pending...';
+          })
+        );
+
+        let rendering = render(hbs`
+          {{#async-await this.promise pendingDelay=100 as |value|}}
+            resolved {{value}}
+          {{else}}
+            {{track-pending}}
+          {{/async-await}}
+        `);
+
+        resolve('value');
+        await rendering;
+
+        assert.dom().hasText('resolved value');
+        assert.equal(shown, 0, 'never rendered the pending block');
+      });
+
+      test('it keeps showing the pending block for the minPendingDuration', async function (assert) {
+        let { promise, resolve } = makePromise();
+
+        this.set('promise', promise);
+
+        await render(hbs`
+          {{#async-await this.promise minPendingDuration=100 onReject=null useTestWaiters=false as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending...
+          {{/async-await}}
+        `);
+
+        let start = Date.now();
+
+        assert.dom().hasText('pending...');
+
+        resolve('value');
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        assert.dom().hasText('pending...', 'still shows the pending block');
+
+        await settled();
+
+        assert.dom().hasText('resolved value');
+        assert.ok(
+          Date.now() - start >= 90,
+          'showed the pending block for the minimum duration'
+        );
+      });
+
+      test('it cancels the pending timers when the component is destroyed', async function (assert) {
+        this.set('promise', makePromise().promise);
+        this.set('shouldShow', true);
+
+        let start = Date.now();
+
+        let rendering = render(hbs`
+          {{#if this.shouldShow}}
+            {{#async-await this.promise pendingDelay=5000 as |value|}}
+              resolved {{value}}
+            {{else}}
+              pending...
+            {{/async-await}}
+          {{/if}}
+        `);
+
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        this.set('shouldShow', false);
+        await rendering;
+
+        assert.ok(
+          Date.now() - start < 1000,
+          'the timer did not hold up settled()'
+        );
+        assert.dom().hasText('');
+      });
+
+      test('it can take an array of promises as arguments', async function (assert) {
+        this.set('promiseA', Promise.resolve('valueA'));
+        this.set('valueB', 'valueB');
+
+        await render(hbs`
+          {{#async-await (array this.promiseA this.valueB) as |values|}}
+            resolved {{#each values as |value|}}{{value}} {{/each}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('resolved valueA valueB');
+      });
+
+      test('it rejects if any promise in the array rejects', async function (assert) {
+        this.set('promiseA', Promise.resolve('valueA'));
+        this.set('promiseB', makeRejectedPromise('promise rejected'));
+
+        await expectRejection('promise rejected', () =>
+          render(hbs`
+            {{#async-await (array this.promiseA this.promiseB) as |values|}}
+              resolved {{#each values as |value|}}{{value}} {{/each}}
+            {{else}}
+              pending...
+            {{/async-await}}
+          `)
+        );
+
+        assert.dom().hasText('pending...');
+      });
+
+      test('it can await an array in allSettled mode', async function (assert) {
+        this.set('promiseA', Promise.resolve('valueA'));
+        this.set('promiseB', makeRejectedPromise('rejectedB'));
+
+        await render(hbs`
+          {{#async-await (array this.promiseA this.promiseB) mode="allSettled" as |results|}}
+            {{#each results as |result|}}
+              {{result.state}}: {{if result.value result.value result.reason}}
+            {{/each}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('fulfilled: valueA rejected: rejectedB');
+      });
+
+      test('it can await an array in race mode', async function (assert) {
+        this.set('promiseA', makePromise().promise);
+        this.set('promiseB', Promise.resolve('valueB'));
+
+        await render(hbs`
+          {{#async-await (array this.promiseA this.promiseB) mode="race" as |value|}}
+            resolved {{value}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('resolved valueB');
+      });
+
+      test('it yields arrays without promises as-is', async function (assert) {
+        let items = A(['valueA']);
+        this.set('items', items);
+
+        await render(hbs`
+          {{#async-await this.items as |values|}}
+            resolved {{#each values as |value|}}{{value}} {{/each}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('resolved valueA');
+
+        items.pushObject('valueB');
+        await settled();
+
+        assert.dom().hasText('resolved valueA valueB');
+      });
+
+      test('it can await a hash in hashSettled mode', async function (assert) {
+        this.set('promiseA', Promise.resolve('valueA'));
+        this.set('promiseB', makeRejectedPromise('rejectedB'));
+
+        await render(hbs`
+          {{#async-await (hash a=this.promiseA b=this.promiseB) mode="hashSettled" as |h|}}
+            a {{h.a.state}} {{h.a.value}}, b {{h.b.state}} {{h.b.reason}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('a fulfilled valueA, b rejected rejectedB');
+      });
+
+      test('it can await a hash in progressive mode', async function (assert) {
+        let a = makePromise();
+        let b = makePromise();
+        let onReject = [];
+
+        this.set('promiseA', a.promise);
+        this.set('promiseB', b.promise);
+        this.set('onReject', (reason) => onReject.push(reason));
+
+        await render(hbs`
+          {{#async-await (hash a=this.promiseA b=this.promiseB c="valueC") mode="progressive" onReject=this.onReject as |h state|}}
+            a {{if h.a.isPending "pending"}}{{h.a.value}},
+            b {{if h.b.isPending "pending"}}{{if h.b.isRejected h.b.reason}},
+            c {{h.c.value}}{{if state.isDone " (done)"}}
+          {{else}}
+            pending...
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('a pending, b pending, c valueC');
+
+        a.resolve('valueA');
+        await settled();
+
+        assert.dom().hasText('a valueA, b pending, c valueC');
+
+        b.reject('rejectedB');
+        await settled();
+
+        assert.dom().hasText('a valueA, b rejectedB, c valueC (done)');
+        assert.deepEqual(onReject, [], 'rejected keys do not call onReject');
+      });
+
+      test('it ignores keys that settle after the argument changes in progressive mode', async function (assert) {
+        let first = makePromise();
+        let second = makePromise();
+
+        this.set('promiseA', first.promise);
+
+        await render(hbs`
+          {{#async-await (hash a=this.promiseA) mode="progressive" as |h|}}
+            a {{if h.a.isPending "pending" h.a.value}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('a pending');
+
+        this.set('promiseA', second.promise);
+        first.resolve('first');
+        await settled();
+
+        assert.dom().hasText('a pending');
+
+        second.resolve('second');
+        await settled();
+
+        assert.dom().hasText('a second');
+      });
+
+      test('it accepts the promise as a named argument in curly invocation', async function (assert) {
+        this.set('promise', Promise.resolve('value'));
+
+        await render(hbs`
+          {{#async-await promise=this.promise as |value|}}
+            resolved {{value}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('resolved value');
+      });
+
+      test('it accepts @argument as an alias for @promise', async function (assert) {
+        this.set('promise', Promise.resolve('value'));
+
+        await render(hbs`
+          <AsyncAwait @argument={{this.promise}} as |value|>
+            resolved {{value}}
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('resolved value');
+      });
+
+      test('it accepts a positional argument through the component helper', async function (assert) {
+        this.set('promise', Promise.resolve('value'));
+
+        await render(hbs`
+          {{#component "async-await" this.promise as |value|}}
+            resolved {{value}}
+          {{/component}}
+        `);
+
+        assert.dom().hasText('resolved value');
+      });
+
+      test('it resets its state when the promise changes', async function (assert) {
+        let { promise: first, resolve: resolveFirst } = makePromise('first');
+
+        this.set('promise', first);
+
+        await render(hbs`
+          {{#async-await this.promise useTestWaiters=false as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending...
+          {{/async-await}}
+        `);
+
+        assert
+          .dom()
+          .hasText(
+            'pending...',
+            'shows inverse block while awaiting first promise'
+          );
+
+        resolveFirst('first');
+        await settled();
+
+        assert
+          .dom()
+          .hasText('resolved first', 'shows resolved value for first promise');
+
+        // We will resolve this later, after switching out the promise
+        let { promise: second, resolve: resolveSecond } = makePromise('second');
+
+        this.set('promise', second);
+        await settled();
+
+        assert
+          .dom()
+          .hasText(
+            'pending...',
+            'shows inverse block while awaiting second promise'
+          );
+
+        // We will reject this later, after switching out the promise
+        let { promise: third, reject: rejectThird } = makePromise('third');
+
+        this.set('promise', third);
+        await settled();
+
+        assert
+          .dom()
+          .hasText(
+            'pending...',
+            'shows inverse block while awaiting third promise'
+          );
+
+        this.set('promise', Promise.resolve('fourth'));
+        await settled();
+
+        assert
+          .dom()
+          .hasText(
+            'resolved fourth',
+            'shows resolved value for fourth promise'
+          );
+
+        await expectRejection('rejected fifth', () => {
+          this.set('promise', makeRejectedPromise('rejected fifth'));
+        });
+
+        assert
+          .dom()
+          .hasText(
+            'pending...',
+            'shows inverse block while awaiting fifth promise'
+          );
+
+        // Resolving a no-longer-relevant promise should be no-op
+        resolveSecond('second');
+        await settled();
+
+        assert
+          .dom()
+          .hasText(
+            'pending...',
+            'shows inverse block even though second promise was resolved'
+          );
+
+        // Rejecting a no-longer-relevant promise should not error
+        rejectThird('rejected third');
+        await settled();
+
+        assert
+          .dom()
+          .hasText(
+            'pending...',
+            'shows inverse block even though third promise was rejected'
+          );
+
+        // Recycling an already-resolved promise is the same as Promise.resolve
+        this.set('promise', first);
+        await settled();
+
+        assert
+          .dom()
+          .hasText('resolved first', 'shows resolved value for first promise');
+      });
+
+      test('does nothing when the promise resolves if the component has been destroyed', async function (assert) {
+        let { promise, resolve } = makePromise();
+
+        this.set('promise', promise);
+        this.set('shouldShow', true);
+
+        await render(hbs`
+          {{#if this.shouldShow}}
+            {{#async-await this.promise onReject=null useTestWaiters=false as |value|}}
+              resolved {{value}}
+            {{else}}
+              pending...
+            {{/async-await}}
+          {{/if}}
+        `);
+
+        assert.dom().hasText('pending...');
+
+        this.set('shouldShow', false);
+
+        resolve('value');
+        await settled();
+
+        assert.dom().hasText('');
+      });
+
+      test('does nothing when the promise rejects if the component has been destroyed', async function (assert) {
+        let { promise, reject } = makePromise();
+
+        this.set('promise', promise);
+        this.set('shouldShow', true);
+
+        await render(hbs`
+          {{#if this.shouldShow}}
+            {{#async-await this.promise onReject=null useTestWaiters=false as |value|}}
+              resolved {{value}}
+            {{else}}
+              pending...
+            {{/async-await}}
+          {{/if}}
+        `);
+
+        assert.dom().hasText('pending...');
+
+        this.set('shouldShow', false);
+
+        reject('promise rejected');
+        await settled();
+
+        assert.dom().hasText('');
+      });
+
+      test('it does not rerender infinitely', async function (assert) {
+        this.set('promise', Promise.resolve('value'));
+
+        await render(hbs`
+          {{#async-await this.promise}}
+            {{#async-await this.promise}}
+              {{#async-await this.promise}}
+                {{#async-await this.promise}}
+                  {{#async-await this.promise}}
+                    {{#async-await this.promise}}
+                      {{#async-await this.promise}}
+                        {{#async-await this.promise}}
+                          {{#async-await this.promise}}
+                            {{#async-await this.promise}}
+                              {{#async-await this.promise}}
+                                {{#async-await this.promise as |value|}}
+                                  resolved {{value}}
+                                {{/async-await}}
+                              {{/async-await}}
+                            {{/async-await}}
+                          {{/async-await}}
+                        {{/async-await}}
+                      {{/async-await}}
+                    {{/async-await}}
+                  {{/async-await}}
+                {{/async-await}}
+              {{/async-await}}
+            {{/async-await}}
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('resolved value');
+      });
+
+      module('with no Ember.onerror', function (hooks) {
+        hooks.beforeEach(function (assert) {
+          // NOTE: this gets reset in the outer module
           Ember.onerror = undefined;
 
-          expectRejection = async (reason, callback) => {
-            let called = 0;
-            let _consoleAssert = console.assert; // eslint-disable-line no-console
+          expectRejection = async (reason, callback) => {
+            let called = 0;
+            let _consoleAssert = console.assert; // eslint-disable-line no-console
+
+            try {
+              console.assert = (_boolean, error) => {
+                // eslint-disable-line no-console
+                called++;
+                assert.ok(error instanceof Error, 'it should be an error');
+                assert.equal(
+                  typeof error.stack,
+                  'string',
+                  'it should have a stack trace'
+                );
+                assert.equal(
+                  error.message,
+                  `Unhandled promise rejection in {{#async-await}}: ${reason}`
+                );
+                assert.equal(error.reason, reason);
+              };
+
+              await callback();
+              await settled();
+            } finally {
+              assert.equal(called, 1, 'expected exactly one rejection');
+              console.assert = _consoleAssert; // eslint-disable-line no-console
+            }
+          };
+        });
+
+        test('if Ember.onerror is undefined, it console.asserts if the promise is rejecte', async function (assert) {
+          this.set('promise', makeRejectedPromise('promise rejected'));
+
+          await expectRejection('promise rejected', () =>
+            render(hbs`
+              {{#async-await this.promise as |value|}}
+                resolved {{value}}
+              {{/async-await}}
+            `)
+          );
+
+          assert.dom().hasText('');
+        });
+      });
+    });
+  }
+
+  ItBehavesLikePromises('native Promise', Promise);
+  ItBehavesLikePromises('RSVP Promise', RSVP.Promise);
+
+  module('streams', function () {
+    function makeChannel() {
+      let queue = [];
+      let waiting = null;
+
+      let channel = {
+        isReturned: false,
+
+        push(value, done = false) {
+          let result = { value, done };
+
+          if (waiting) {
+            waiting(result);
+            waiting = null;
+          } else {
+            queue.push(result);
+          }
+        },
+
+        [Symbol.asyncIterator]() {
+          return {
+            next() {
+              if (queue.length) {
+                return Promise.resolve(queue.shift());
+              }
+
+              return new Promise((resolve) => (waiting = resolve));
+            },
+
+            return() {
+              channel.isReturned = true;
+              return Promise.resolve({ value: undefined, done: true });
+            },
+          };
+        },
+      };
+
+      return channel;
+    }
+
+    function makeObservable() {
+      let observable = {
+        observer: null,
+        isUnsubscribed: false,
+
+        '@@observable'() {
+          return observable;
+        },
+
+        subscribe(observer) {
+          observable.observer = observer;
+
+          return {
+            unsubscribe() {
+              observable.isUnsubscribed = true;
+            },
+          };
+        },
+      };
+
+      return observable;
+    }
+
+    test('it yields each value of an async iterable', async function (assert) {
+      let channel = makeChannel();
+
+      this.set('stream', channel);
+
+      await render(hbs`
+        {{#async-await this.stream useTestWaiters=false as |value state|}}
+          value {{value}}{{if state.isDone " (done)"}}
+        {{else}}
+          pending
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('pending');
+
+      channel.push('one');
+      await settled();
+
+      assert.dom().hasText('value one');
+
+      channel.push('two');
+      await settled();
+
+      assert.dom().hasText('value two');
+
+      channel.push(undefined, true);
+      await settled();
+
+      assert.dom().hasText('value two (done)');
+    });
+
+    test('it consumes async generators', async function (assert) {
+      this.set('stream', async function* () {
+        yield 'one';
+        yield 'two';
+      });
+
+      await render(hbs`
+        {{#async-await this.stream yieldState=true as |state|}}
+          {{state.value}} {{if state.isDone "done" "streaming"}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('two done');
+    });
+
+    test('it yields objects with a subscribe method that are not observables as-is', async function (assert) {
+      let subscribed = false;
+      let store = {
+        name: 'store',
+
+        subscribe() {
+          subscribed = true;
+        },
+      };
+
+      this.set('store', store);
+
+      await render(hbs`
+        {{#async-await this.store as |value|}}
+          resolved {{value.name}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved store');
+      assert.false(subscribed, 'it was not subscribed to');
+    });
+
+    test('it yields each value of an observable', async function (assert) {
+      let observable = makeObservable();
+
+      this.set('stream', observable);
+
+      await render(hbs`
+        {{#async-await this.stream yieldState=true useTestWaiters=false as |state|}}
+          {{if state.isPending "pending"}}
+          {{if state.isResolved state.value}}
+          {{if state.isDone "done"}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('pending');
+
+      observable.observer.next('one');
+      await settled();
+
+      assert.dom().hasText('one');
+
+      observable.observer.next('two');
+      await settled();
+
+      assert.dom().hasText('two');
+
+      observable.observer.complete();
+      await settled();
+
+      assert.dom().hasText('two done');
+    });
+
+    test('it resolves with undefined when a stream completes without values', async function (assert) {
+      let observable = makeObservable();
+
+      this.set('stream', observable);
+
+      await render(hbs`
+        {{#async-await this.stream yieldState=true useTestWaiters=false as |state|}}
+          {{if state.isResolved "resolved"}} {{if state.isDone "done"}}
+        {{/async-await}}
+      `);
+
+      observable.observer.complete();
+      await settled();
+
+      assert.dom().hasText('resolved done');
+    });
+
+    test('it rejects when a stream fails', async function (assert) {
+      let observable = makeObservable();
+      let reasons = [];
+
+      this.set('stream', observable);
+      this.set('onReject', (reason) => reasons.push(reason));
+
+      await render(hbs`
+        <AsyncAwait @promise={{this.stream}} @onReject={{this.onReject}} @useTestWaiters={{false}}>
+          <:resolved as |value|>value {{value}}</:resolved>
+          <:rejected as |reason state|>
+            rejected {{reason}}{{if state.isDone " (done)"}}
+          </:rejected>
+        </AsyncAwait>
+      `);
+
+      observable.observer.next('one');
+      await settled();
+
+      assert.dom().hasText('value one');
+
+      observable.observer.error('stream failed');
+      await settled();
+
+      assert.dom().hasText('rejected stream failed (done)');
+      assert.deepEqual(reasons, ['stream failed']);
+    });
+
+    test('it accepts a function that returns a stream', async function (assert) {
+      let channel = makeChannel();
+
+      this.set('stream', () => channel);
+
+      await render(hbs`
+        {{#async-await this.stream useTestWaiters=false as |value|}}
+          value {{value}}
+        {{/async-await}}
+      `);
+
+      channel.push('one');
+      await settled();
+
+      assert.dom().hasText('value one');
+    });
+
+    test('it stops the stream when the argument changes', async function (assert) {
+      let channel = makeChannel();
+      let observable = makeObservable();
+
+      this.set('stream', channel);
+
+      await render(hbs`
+        {{#async-await this.stream useTestWaiters=false as |value|}}
+          value {{value}}
+        {{/async-await}}
+      `);
+
+      channel.push('one');
+      await settled();
+
+      this.set('stream', observable);
+      await settled();
+
+      assert.true(channel.isReturned, 'the iterator was returned');
+      assert.dom().hasText('');
+
+      channel.push('two');
+      await settled();
+
+      assert.dom().hasText('');
+
+      this.set('stream', 'other');
+      await settled();
+
+      assert.true(observable.isUnsubscribed, 'the observable was unsubscribed');
+      assert.dom().hasText('value other');
+    });
+
+    test('it stops the stream when the component is destroyed', async function (assert) {
+      let channel = makeChannel();
+      let observable = makeObservable();
+
+      this.set('channel', channel);
+      this.set('observable', observable);
+      this.set('shouldShow', true);
+
+      await render(hbs`
+        {{#if this.shouldShow}}
+          {{#async-await this.channel useTestWaiters=false}}{{/async-await}}
+          {{#async-await this.observable useTestWaiters=false}}{{/async-await}}
+        {{/if}}
+      `);
+
+      this.set('shouldShow', false);
+      await settled();
+
+      assert.true(channel.isReturned, 'the iterator was returned');
+      assert.true(observable.isUnsubscribed, 'the observable was unsubscribed');
+    });
+
+    test('it holds back values emitted during the minPendingDuration in order', async function (assert) {
+      let observable = makeObservable();
+      let values = [];
+
+      this.set('stream', observable);
+      this.owner.register(
+        'helper:capture',
+        helper(function ([value]) {
+          values.push(value);
+          return value;
+        })
+      );
+
+      await render(hbs`
+        {{#async-await this.stream minPendingDuration=20 yieldState=true useTestWaiters=false as |state|}}
+          {{#if state.isResolved}}{{capture state.value}}{{/if}}
+          {{if state.isDone "done"}}
+        {{/async-await}}
+      `);
+
+      observable.observer.next('one');
+      observable.observer.next('two');
+      observable.observer.complete();
+
+      assert.dom().hasText('');
+
+      await settled();
+
+      assert.dom().hasText('two done');
+      assert.deepEqual(values, ['two']);
+    });
+  });
+
+  module('cacheKey', function () {
+    function never() {
+      return new Promise(() => {});
+    }
+
+    test('it renders a cached value right away', async function (assert) {
+      this.set('first', Promise.resolve('cached value'));
+      this.set('second', never());
+      this.set('showSecond', false);
+
+      await render(hbs`
+        {{#async-await this.first cacheKey="key" as |value|}}
+          first {{value}}
+        {{/async-await}}
+        {{#if this.showSecond}}
+          {{#async-await this.second cacheKey="key" as |value state|}}
+            second {{value}}{{if state.isDone " (done)"}}
+          {{else}}
+            pending
+          {{/async-await}}
+        {{/if}}
+      `);
+
+      assert.dom().hasText('first cached value');
+
+      this.set('showSecond', true);
+
+      assert.dom().hasText('first cached value second cached value (done)');
+    });
+
+    test('it does not share values between different keys', async function (assert) {
+      this.set('first', Promise.resolve('value'));
+      this.set('second', never());
+
+      await render(hbs`
+        {{#async-await this.first cacheKey="first" useTestWaiters=false as |value|}}
+          first {{value}}
+        {{/async-await}}
+        {{#async-await this.second cacheKey="second" useTestWaiters=false as |value|}}
+          second {{value}}
+        {{else}}
+          second pending
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('first value second pending');
+    });
+
+    test('it does not call a function argument when its value is cached', async function (assert) {
+      let calls = 0;
+
+      this.owner
+        .lookup('service:async-await-cache')
+        .store('users', 'cached users');
+      this.set('fetch', () => {
+        calls++;
+        return never();
+      });
+
+      await render(hbs`
+        {{#async-await this.fetch cacheKey="users" as |users|}}
+          {{users}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('cached users');
+      assert.equal(calls, 0);
+    });
+
+    test('it does not cache rejections', async function (assert) {
+      let cache = this.owner.lookup('service:async-await-cache');
+
+      this.set('promise', Promise.reject('rejected'));
+
+      await render(hbs`
+        {{#async-await this.promise cacheKey="key" onReject=null}}
+          resolved
+        {{/async-await}}
+      `);
+
+      assert.strictEqual(cache.lookup('key'), undefined);
+    });
+
+    test('it keeps values for the cacheTtl', async function (assert) {
+      let cache = this.owner.lookup('service:async-await-cache');
+
+      this.set('promise', Promise.resolve('value'));
+
+      await render(hbs`
+        {{#async-await this.promise cacheKey="key" cacheTtl=10}}{{/async-await}}
+      `);
+
+      assert.equal(cache.lookup('key').value, 'value');
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      assert.strictEqual(cache.lookup('key'), undefined);
+    });
+
+    test('it bypasses the cache when reloading', async function (assert) {
+      let cache = this.owner.lookup('service:async-await-cache');
+      let calls = 0;
+
+      this.set('fetch', () => Promise.resolve(`value ${++calls}`));
+
+      await render(hbs`
+        {{#async-await this.fetch cacheKey="key" as |value state|}}
+          {{value}}
+          <button type="button" {{on "click" state.reload}}>Reload</button>
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('value 1 Reload');
+
+      await click('button');
+
+      assert.dom().hasText('value 2 Reload');
+      assert.equal(cache.lookup('key').value, 'value 2');
+    });
+  });
+
+  module('known values', function (hooks) {
+    let pendingRenders;
+
+    hooks.beforeEach(function () {
+      pendingRenders = 0;
+
+      this.owner.register(
+        'helper:pending',
+        helper(function () {
+          pendingRenders++;
+          return 'pending';
+        })
+      );
+    });
+
+    test('it renders plain values without a pending render pass', async function (assert) {
+      await render(hbs`
+        {{#async-await "plain value" as |value state|}}
+          resolved {{value}}{{if state.isDone " (done)"}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved plain value (done)');
+      assert.equal(pendingRenders, 0);
+    });
+
+    test('it renders null and undefined without a pending render pass', async function (assert) {
+      let resolved = [];
+      let reasons = [];
+
+      this.set('onResolve', (value) => resolved.push(value));
+      this.set('onReject', (reason) => reasons.push(reason));
+
+      await render(hbs`
+        {{#async-await null onResolve=this.onResolve onReject=this.onReject as |value state|}}
+          resolved [{{value}}]{{if state.isDone " (done)"}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+        {{#async-await this.missing onResolve=this.onResolve onReject=this.onReject as |value state|}}
+          resolved [{{value}}]{{if state.isDone " (done)"}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved [] (done) resolved [] (done)');
+      assert.equal(pendingRenders, 0);
+      assert.deepEqual(resolved, [null, undefined]);
+      assert.deepEqual(reasons, []);
+    });
+
+    test('it renders fulfilled RSVP promises without a pending render pass', async function (assert) {
+      this.set('promise', RSVP.resolve('value'));
+
+      await render(hbs`
+        {{#async-await this.promise as |value|}}
+          resolved {{value}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved value');
+      assert.equal(pendingRenders, 0);
+    });
+
+    test('it renders arrays and hashes of known values without a pending render pass', async function (assert) {
+      this.set('promise', RSVP.resolve('valueA'));
+
+      await render(hbs`
+        {{#async-await (hash a=this.promise b="valueB") as |h|}}
+          resolved {{h.a}}, {{h.b}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+        {{#async-await (array this.promise "valueB") as |values|}}
+          resolved {{#each values as |value|}}{{value}} {{/each}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved valueA, valueB resolved valueA valueB');
+      assert.equal(pendingRenders, 0);
+    });
+
+    test('it renders tracked promises that have resolved without a pending render pass', async function (assert) {
+      let promise = trackSettled(Promise.resolve('value'));
+
+      await promise;
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        {{#async-await this.promise as |value|}}
+          resolved {{value}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved value');
+      assert.equal(pendingRenders, 0);
+    });
+
+    test('it renders the pending block for native promises', async function (assert) {
+      this.set('promise', Promise.resolve('value'));
+
+      await render(hbs`
+        {{#async-await this.promise as |value|}}
+          resolved {{value}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved value');
+      assert.equal(pendingRenders, 1);
+    });
+
+    test('it calls a function argument returning a known value once', async function (assert) {
+      let calls = 0;
+
+      this.set('fetch', () => {
+        calls++;
+        return 'value';
+      });
 
-            try {
-              console.assert = (_boolean, error) => {
-                // eslint-disable-line no-console
-                called++;
-                assert.ok(error instanceof Error, 'it should be an error');
-                assert.equal(
-                  typeof error.stack,
-                  'string',
-                  'it should have a stack trace'
-                );
-                assert.equal(
-                  error.message,
-                  `Unhandled promise rejection in {{#async-await}}: ${reason}`
-                );
-                assert.equal(error.reason, reason);
-              };
+      await render(hbs`
+        {{#async-await this.fetch timeout=10 as |value|}}
+          resolved {{value}}
+        {{else}}
+          {{pending}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved value');
+      assert.equal(calls, 1);
+      assert.equal(pendingRenders, 0);
+    });
+  });
 
-              await callback();
-              await settled();
-            } finally {
-              assert.equal(called, 1, 'expected exactly one rejection');
-              console.assert = _consoleAssert; // eslint-disable-line no-console
-            }
+  module('config', function () {
+    test('it uses the app-wide defaults for options that are not passed', async function (assert) {
+      let reasons = [];
+
+      this.owner.register(
+        'service:async-await-config',
+        class extends AsyncAwaitConfigService {
+          timeout = 10;
+          onReject = (reason, source) => reasons.push([reason, source]);
+        }
+      );
+
+      this.set('promise', RSVP.defer().promise);
+
+      await render(hbs`
+        {{#async-await this.promise yieldState=true useTestWaiters=false as |state|}}
+          {{if state.isTimedOut "timed out" "pending"}}
+        {{/async-await}}
+        {{#async-await this.promise timeout=null yieldState=true useTestWaiters=false as |state|}}
+          {{if state.isTimedOut "timed out" "pending"}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('timed out pending');
+      assert.equal(reasons.length, 1);
+      assert.ok(reasons[0][0] instanceof TimeoutError);
+      assert.equal(reasons[0][1], '{{#async-await}}');
+    });
+
+    test('it applies the app-wide default mode for the shape of the argument', async function (assert) {
+      this.owner.register(
+        'service:async-await-config',
+        class extends AsyncAwaitConfigService {
+          arrayMode = 'allSettled';
+          hashMode = 'hashSettled';
+        }
+      );
+
+      let rejected = RSVP.reject('rejected');
+
+      // This silences RSVP's "unhandled rejection" errors
+      rejected.catch(() => {});
+
+      this.setProperties({ promise: RSVP.resolve('value'), rejected });
+
+      await render(hbs`
+        {{#async-await (array this.promise this.rejected) as |results|}}
+          {{#each results as |result|}}{{result.state}} {{/each}}
+        {{/async-await}}
+        {{#async-await (hash a=this.promise b=this.rejected) as |h|}}
+          {{h.a.state}} {{h.b.state}}
+        {{/async-await}}
+        {{#async-await (array this.promise "b") mode="all" as |values|}}
+          {{#each values as |value|}}{{value}} {{/each}}
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('fulfilled rejected fulfilled rejected value b');
+    });
+
+    test('it silences rejections when the default onReject is null', async function (assert) {
+      this.owner.register(
+        'service:async-await-config',
+        class extends AsyncAwaitConfigService {
+          onReject = null;
+        }
+      );
+
+      let _onerror = Ember.onerror;
+      let called = 0;
+
+      Ember.onerror = () => called++;
+
+      try {
+        let promise = RSVP.reject('rejected');
+
+        // This silences RSVP's "unhandled rejection" errors
+        promise.catch(() => {});
+
+        this.set('promise', promise);
+
+        await render(hbs`
+          {{#async-await this.promise}}
+            resolved
+          {{/async-await}}
+        `);
+      } finally {
+        Ember.onerror = _onerror;
+      }
+
+      assert.equal(called, 0);
+    });
+
+    test('it uses the configured rejectionMessage', async function (assert) {
+      let service = this.owner.lookup('service:async-await-config');
+      let _onerror = Ember.onerror;
+      let messages = [];
+
+      service.rejectionMessage = 'Failed in {source}: {reason}';
+      Ember.onerror = (error) => messages.push(error.message);
+
+      try {
+        let promise = RSVP.reject('rejected');
+
+        // This silences RSVP's "unhandled rejection" errors
+        promise.catch(() => {});
+
+        this.set('promise', promise);
+
+        await render(hbs`
+          {{#async-await this.promise}}
+            resolved
+          {{/async-await}}
+        `);
+      } finally {
+        Ember.onerror = _onerror;
+      }
+
+      assert.deepEqual(messages, ['Failed in {{#async-await}}: rejected']);
+    });
+  });
+
+  module('lifecycle callbacks', function (hooks) {
+    let calls;
+
+    hooks.beforeEach(function () {
+      calls = [];
+
+      this.set('onPending', (argument) => calls.push(['onPending', argument]));
+      this.set('onResolve', (value) => calls.push(['onResolve', value]));
+      this.set('onSettled', (state) =>
+        calls.push([
+          'onSettled',
+          state.isResolved ? state.value : `rejected: ${state.reason}`,
+        ])
+      );
+    });
+
+    test('it calls onPending, onResolve and onSettled as the argument resolves', async function (assert) {
+      let { promise, resolve } = RSVP.defer();
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        <AsyncAwait
+          @promise={{this.promise}}
+          @onPending={{this.onPending}}
+          @onResolve={{this.onResolve}}
+          @onSettled={{this.onSettled}}
+          @useTestWaiters={{false}}
+        />
+      `);
+
+      assert.deepEqual(calls, [['onPending', promise]]);
+
+      resolve('value');
+      await settled();
+
+      assert.deepEqual(calls, [
+        ['onPending', promise],
+        ['onResolve', 'value'],
+        ['onSettled', 'value'],
+      ]);
+    });
+
+    test('it calls onSettled when the argument rejects', async function (assert) {
+      let { promise, reject } = RSVP.defer();
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        <AsyncAwait
+          @promise={{this.promise}}
+          @onReject={{null}}
+          @onResolve={{this.onResolve}}
+          @onSettled={{this.onSettled}}
+          @useTestWaiters={{false}}
+        />
+      `);
+
+      reject('reason');
+      await settled();
+
+      assert.deepEqual(calls, [['onSettled', 'rejected: reason']]);
+    });
+
+    test('it calls onResolve and onSettled for known values without onPending', async function (assert) {
+      await render(hbs`
+        <AsyncAwait
+          @promise="value"
+          @onPending={{this.onPending}}
+          @onResolve={{this.onResolve}}
+          @onSettled={{this.onSettled}}
+        />
+      `);
+
+      assert.deepEqual(calls, [
+        ['onResolve', 'value'],
+        ['onSettled', 'value'],
+      ]);
+    });
+
+    test('it calls onResolve with every value of a stream', async function (assert) {
+      let observer;
+
+      this.set('stream', {
+        '@@observable'() {
+          return this;
+        },
+
+        subscribe(o) {
+          observer = o;
+        },
+      });
+
+      await render(hbs`
+        <AsyncAwait
+          @promise={{this.stream}}
+          @onResolve={{this.onResolve}}
+          @onSettled={{this.onSettled}}
+          @useTestWaiters={{false}}
+        />
+      `);
+
+      observer.next('one');
+      observer.next('two');
+      observer.complete();
+      await settled();
+
+      assert.deepEqual(calls, [
+        ['onResolve', 'one'],
+        ['onResolve', 'two'],
+        ['onSettled', 'two'],
+      ]);
+    });
+
+    test('it does not call the callbacks for stale arguments', async function (assert) {
+      let first = RSVP.defer();
+      let second = RSVP.defer();
+
+      this.set('promise', first.promise);
+
+      await render(hbs`
+        <AsyncAwait
+          @promise={{this.promise}}
+          @onPending={{this.onPending}}
+          @onResolve={{this.onResolve}}
+          @onSettled={{this.onSettled}}
+          @useTestWaiters={{false}}
+        />
+      `);
+
+      this.set('promise', second.promise);
+      first.resolve('first');
+      await settled();
+
+      assert.deepEqual(calls, [
+        ['onPending', first.promise],
+        ['onPending', second.promise],
+      ]);
+    });
+
+    test('it does not call the callbacks after the component is destroyed', async function (assert) {
+      let { promise, resolve } = RSVP.defer();
+
+      this.set('promise', promise);
+      this.set('shouldShow', true);
+
+      await render(hbs`
+        {{#if this.shouldShow}}
+          <AsyncAwait
+            @promise={{this.promise}}
+            @onResolve={{this.onResolve}}
+            @onSettled={{this.onSettled}}
+            @useTestWaiters={{false}}
+          />
+        {{/if}}
+      `);
+
+      this.set('shouldShow', false);
+      resolve('value');
+      await settled();
+
+      assert.deepEqual(calls, []);
+    });
+  });
+
+  module('test waiters', function () {
+    function ItWaitsFor(label, Promise) {
+      test(`settled() waits for a ${label} to resolve`, async function (assert) {
+        this.set(
+          'promise',
+          new Promise((resolve) => setTimeout(() => resolve('value'), 20))
+        );
+
+        await render(hbs`
+          {{#async-await this.promise as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending
+          {{/async-await}}
+        `);
+
+        assert.dom().hasText('resolved value');
+        assert.false(hasPendingWaiters());
+      });
+
+      test(`settled() waits for a ${label} to reject`, async function (assert) {
+        this.set(
+          'promise',
+          new Promise((resolve, reject) => setTimeout(() => reject('nope'), 20))
+        );
+
+        await render(hbs`
+          <AsyncAwait
+            @promise={{this.promise}}
+            @onReject={{null}}
+          >
+            <:resolved>resolved</:resolved>
+            <:rejected as |reason|>rejected {{reason}}</:rejected>
+            <:pending>pending</:pending>
+          </AsyncAwait>
+        `);
+
+        assert.dom().hasText('rejected nope');
+        assert.false(hasPendingWaiters());
+      });
+    }
+
+    ItWaitsFor('native Promise', Promise);
+    ItWaitsFor('RSVP Promise', RSVP.Promise);
+
+    test('it stops waiting when the component is destroyed', async function (assert) {
+      this.setProperties({ show: false, promise: RSVP.defer().promise });
+
+      await render(hbs`
+        {{#if this.show}}
+          {{#async-await this.promise}}
+            resolved
+          {{else}}
+            pending
+          {{/async-await}}
+        {{/if}}
+      `);
+
+      this.set('show', true);
+      await waitUntil(() => hasPendingWaiters());
+
+      assert.dom().hasText('pending');
+
+      this.set('show', false);
+      await settled();
+
+      assert.dom().hasText('');
+      assert.false(hasPendingWaiters());
+    });
+
+    test('it stops waiting for a replaced argument', async function (assert) {
+      this.setProperties({ show: false, promise: RSVP.defer().promise });
+
+      await render(hbs`
+        {{#if this.show}}
+          {{#async-await this.promise as |value|}}
+            resolved {{value}}
+          {{else}}
+            pending
+          {{/async-await}}
+        {{/if}}
+      `);
+
+      this.set('show', true);
+      await waitUntil(() => hasPendingWaiters());
+
+      this.set('promise', RSVP.resolve('value'));
+      await settled();
+
+      assert.dom().hasText('resolved value');
+      assert.false(hasPendingWaiters());
+    });
+
+    test('it does not wait for arguments when useTestWaiters is false', async function (assert) {
+      this.set('promise', RSVP.defer().promise);
+
+      await render(hbs`
+        {{#async-await this.promise useTestWaiters=false}}
+          resolved
+        {{else}}
+          pending
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('pending');
+      assert.false(hasPendingWaiters());
+    });
+  });
+
+  module('FastBoot', function (hooks) {
+    let fastboot;
+
+    hooks.beforeEach(function () {
+      this.owner.register(
+        'service:fastboot',
+        class extends Service {
+          isFastBoot = true;
+          deferred = [];
+
+          shoebox = {
+            values: {},
+            put(key, value) {
+              this.values[key] = JSON.parse(JSON.stringify(value));
+            },
+            retrieve(key) {
+              return this.values[key];
+            },
           };
-        });
 
-        test('if Ember.onerror is undefined, it console.asserts if the promise is rejecte', async function (assert) {
-          this.set('promise', makeRejectedPromise('promise rejected'));
+          deferRendering(promise) {
+            let deferred = { isSettled: false };
 
-          await expectRejection('promise rejected', () =>
-            render(hbs`
-              {{#async-await this.promise as |value|}}
-                resolved {{value}}
-              {{/async-await}}
-            `)
-          );
+            promise.then(() => (deferred.isSettled = true));
+            this.deferred.push(deferred);
+          }
+        }
+      );
 
-          assert.dom().hasText('');
-        });
+      fastboot = this.owner.lookup('service:fastboot');
+    });
+
+    test('it defers rendering until the argument settles', async function (assert) {
+      let { promise, resolve } = RSVP.defer();
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        {{#async-await this.promise cacheKey="users" useTestWaiters=false as |value|}}
+          resolved {{value}}
+        {{else}}
+          pending
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('pending');
+      assert.equal(fastboot.deferred.length, 1);
+      assert.false(fastboot.deferred[0].isSettled);
+
+      resolve('value');
+      await settled();
+
+      assert.dom().hasText('resolved value');
+      assert.true(fastboot.deferred[0].isSettled);
+      assert.deepEqual(fastboot.shoebox.values['ember-async-await-helper'], {
+        users: { value: 'value', expiresAt: null },
       });
     });
-  }
 
-  ItBehavesLikePromises('native Promise', Promise);
-  ItBehavesLikePromises('RSVP Promise', RSVP.Promise);
+    test('it stops deferring rendering when the component is destroyed', async function (assert) {
+      this.setProperties({ show: true, promise: RSVP.defer().promise });
+
+      await render(hbs`
+        {{#if this.show}}
+          {{#async-await this.promise useTestWaiters=false}}resolved{{/async-await}}
+        {{/if}}
+      `);
+
+      assert.false(fastboot.deferred[0].isSettled);
+
+      this.set('show', false);
+      await settled();
+
+      assert.true(fastboot.deferred[0].isSettled);
+    });
+
+    test('it does not defer rendering for known values', async function (assert) {
+      await render(hbs`
+        {{#async-await "value" as |value|}}resolved {{value}}{{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved value');
+      assert.true(fastboot.deferred.every((deferred) => deferred.isSettled));
+    });
+
+    test('it renders the values from the shoebox in the browser', async function (assert) {
+      fastboot.isFastBoot = false;
+      fastboot.shoebox.values['ember-async-await-helper'] = {
+        users: { value: 'serialized', expiresAt: null },
+      };
+
+      this.set('promise', new Promise(() => {}));
+
+      await render(hbs`
+        {{#async-await this.promise cacheKey="users" as |value|}}
+          resolved {{value}}
+        {{else}}
+          pending
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved serialized');
+      assert.equal(fastboot.deferred.length, 0);
+    });
+  });
+
+  module('error classification', function (hooks) {
+    let _onerror;
+    let errors;
+
+    hooks.beforeEach(function () {
+      _onerror = Ember.onerror;
+      errors = [];
+
+      Ember.onerror = (error) => errors.push(error);
+    });
+
+    hooks.afterEach(function () {
+      Ember.onerror = _onerror;
+    });
+
+    function rejectWith(reason) {
+      let promise = RSVP.reject(reason);
+
+      // This silences RSVP's "unhandled rejection" errors
+      promise.catch(() => {});
+
+      return promise;
+    }
+
+    test('it rejects with an HttpError for responses', async function (assert) {
+      this.set('promise', rejectWith(responseFor(404, 'Not Found')));
+
+      await render(hbs`
+        <AsyncAwait @promise={{this.promise}}>
+          <:rejected as |reason|>{{reason.status}} {{reason.message}}</:rejected>
+        </AsyncAwait>
+      `);
+
+      assert.dom().hasText('404 HTTP 404 Not Found');
+      assert.equal(errors.length, 1);
+      assert.ok(errors[0].reason instanceof HttpError);
+      assert.equal(
+        errors[0].message,
+        'Unhandled promise rejection in {{#async-await}}: HttpError: HTTP 404 Not Found'
+      );
+    });
+
+    test('it passes the classified reason to onReject', async function (assert) {
+      let reasons = [];
+
+      this.set('promise', rejectWith(new TypeError('Failed to fetch')));
+      this.set('onReject', (reason) => reasons.push(reason));
+
+      await render(hbs`
+        {{#async-await this.promise onReject=this.onReject}}resolved{{/async-await}}
+      `);
+
+      assert.equal(reasons.length, 1);
+      assert.ok(reasons[0] instanceof NetworkError);
+      assert.equal(errors.length, 0);
+    });
+
+    test('it does not report aborts by default', async function (assert) {
+      let abort = new Error('The user aborted a request.');
+      abort.name = 'AbortError';
+
+      this.set('promise', rejectWith(abort));
+
+      await render(hbs`
+        <AsyncAwait @promise={{this.promise}}>
+          <:rejected as |reason|>{{reason.name}}</:rejected>
+        </AsyncAwait>
+      `);
+
+      assert.dom().hasText('AbortError');
+      assert.equal(errors.length, 0);
+    });
+
+    test('it does not retry aborts', async function (assert) {
+      let calls = 0;
+      let reasons = [];
+
+      this.set('onReject', (reason) => reasons.push(reason));
+      this.set('fetch', () => {
+        calls++;
+
+        let abort = new Error('aborted');
+        abort.name = 'AbortError';
+
+        return rejectWith(abort);
+      });
+
+      await render(hbs`
+        <AsyncAwait @promise={{this.fetch}} @retries={{3}} @onReject={{this.onReject}}>
+          <:rejected as |reason|>{{reason.message}}</:rejected>
+        </AsyncAwait>
+      `);
+
+      assert.dom().hasText('aborted');
+      assert.equal(calls, 1);
+      assert.ok(reasons[0] instanceof AbortError);
+    });
+
+    test('it does not report aborts to the error boundary', async function (assert) {
+      let abort = new Error('aborted');
+      abort.name = 'AbortError';
+
+      this.set('promise', rejectWith(abort));
+
+      await render(hbs`
+        <AsyncErrorBoundary>
+          <:default as |errorBoundary|>
+            <AsyncAwait @promise={{this.promise}} @errorBoundary={{errorBoundary}}>
+              <:rejected>rejected</:rejected>
+            </AsyncAwait>
+          </:default>
+          <:error>failed</:error>
+        </AsyncErrorBoundary>
+      `);
+
+      assert.dom().hasText('rejected');
+      assert.equal(errors.length, 0);
+    });
+
+    test('it passes timeouts through as-is', async function (assert) {
+      this.set('promise', new Promise(() => {}));
+
+      await render(hbs`
+        <AsyncAwait @promise={{this.promise}} @timeout={{10}} @onReject={{null}}>
+          <:rejected as |reason|>{{reason.name}}</:rejected>
+        </AsyncAwait>
+      `);
+
+      assert.dom().hasText('TimeoutError');
+      assert.equal(errors.length, 0);
+    });
+  });
+
+  module('optimistic', function () {
+    test('it yields the optimistic value while pending', async function (assert) {
+      let { promise, resolve } = RSVP.defer();
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        {{#async-await this.promise optimistic="expected" useTestWaiters=false as |value state|}}
+          resolved {{value}} {{if state.isOptimistic "(saving)"}}
+        {{else}}
+          pending
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('resolved expected (saving)');
+
+      resolve('actual');
+      await settled();
+
+      assert.dom().hasText('resolved actual');
+    });
+
+    test('it rolls back to the rejected state on failure', async function (assert) {
+      let { promise, reject } = RSVP.defer();
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        <AsyncAwait @promise={{this.promise}} @optimistic={{true}} @onReject={{null}} @useTestWaiters={{false}}>
+          <:resolved as |isLiked|>liked: {{isLiked}}</:resolved>
+          <:rejected as |reason state|>
+            failed to save {{state.optimisticValue}}: {{reason}}
+          </:rejected>
+        </AsyncAwait>
+      `);
+
+      assert.dom().hasText('liked: true');
+
+      reject('offline');
+      await settled();
+
+      assert.dom().hasText('failed to save true: offline');
+    });
+
+    test('it sets isOptimistic in the state object', async function (assert) {
+      let { promise, resolve } = RSVP.defer();
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        {{#async-await this.promise optimistic=null yieldState=true useTestWaiters=false as |state|}}
+          {{if state.isPending "pending"}}
+          {{if state.isOptimistic "optimistic"}}
+          {{if state.isResolved "resolved"}}
+          [{{state.value}}]
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('pending optimistic []');
+
+      resolve('value');
+      await settled();
+
+      assert.dom().hasText('resolved [value]');
+    });
+
+    test('it yields the optimistic value again when reloading', async function (assert) {
+      let deferred = RSVP.defer();
+
+      this.set('fetch', () => deferred.promise);
+
+      await render(hbs`
+        {{#async-await this.fetch optimistic="expected" useTestWaiters=false as |value state|}}
+          <span>{{value}}</span>
+          <button type="button" {{on "click" state.reload}}>reload</button>
+        {{/async-await}}
+      `);
+
+      assert.dom('span').hasText('expected');
+
+      deferred.resolve('first');
+      await settled();
+
+      assert.dom('span').hasText('first');
+
+      deferred = RSVP.defer();
+      await click('button');
+
+      assert.dom('span').hasText('expected');
+
+      deferred.resolve('second');
+      await settled();
+
+      assert.dom('span').hasText('second');
+    });
+
+    test('it renders the pending block without an optimistic value', async function (assert) {
+      this.set('promise', RSVP.defer().promise);
+
+      await render(hbs`
+        {{#async-await this.promise optimistic=undefined useTestWaiters=false as |value|}}
+          resolved {{value}}
+        {{else}}
+          pending
+        {{/async-await}}
+      `);
+
+      assert.dom().hasText('pending');
+    });
+  });
 });
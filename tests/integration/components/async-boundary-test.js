@@ -0,0 +1,297 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import {
+  render,
+  resetOnerror,
+  settled,
+  setupOnerror,
+} from '@ember/test-helpers';
+import hbs from 'htmlbars-inline-precompile';
+import RSVP from 'rsvp';
+
+module('Integration | Component | async-boundary', function (hooks) {
+  setupRenderingTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.a = RSVP.defer();
+    this.b = RSVP.defer();
+    this.c = RSVP.defer();
+
+    this.setProperties({
+      promiseA: this.a.promise,
+      promiseB: this.b.promise,
+      promiseC: this.c.promise,
+    });
+  });
+
+  test('it shows the fallback until all of the blocks have resolved', async function (assert) {
+    await render(hbs`
+      {{#async-boundary as |boundary|}}
+        <h1>title</h1>
+        {{#async-await this.promiseA boundary=boundary useTestWaiters=false as |value|}}
+          <p>{{value}}</p>
+        {{else}}
+          <p>pending a</p>
+        {{/async-await}}
+        {{#async-await this.promiseB boundary=boundary useTestWaiters=false as |value|}}
+          <p>{{value}}</p>
+        {{else}}
+          <p>pending b</p>
+        {{/async-await}}
+      {{else}}
+        <span>loading</span>
+      {{/async-boundary}}
+    `);
+
+    assert.dom('h1').hasText('title');
+    assert.dom('p').doesNotExist();
+    assert.dom('span').hasText('loading');
+
+    this.b.resolve('b');
+    await settled();
+
+    assert.dom('p').doesNotExist();
+    assert.dom('span').hasText('loading');
+
+    this.a.resolve('a');
+    await settled();
+
+    assert.dom('p').exists({ count: 2 });
+    assert.dom().hasText('title a b');
+    assert.dom('span').doesNotExist();
+  });
+
+  test('it accepts the fallback as a named block', async function (assert) {
+    await render(hbs`
+      <AsyncBoundary>
+        <:default as |boundary|>
+          <AsyncAwait @promise={{this.promiseA}} @boundary={{boundary}} @useTestWaiters={{false}}>
+            <:resolved as |value|><p>{{value}}</p></:resolved>
+          </AsyncAwait>
+        </:default>
+        <:fallback><span>loading</span></:fallback>
+      </AsyncBoundary>
+    `);
+
+    assert.dom('span').hasText('loading');
+
+    this.a.resolve('a');
+    await settled();
+
+    assert.dom('p').hasText('a');
+    assert.dom('span').doesNotExist();
+  });
+
+  test('it coordinates blocks in nested components', async function (assert) {
+    this.owner.register(
+      'template:components/nested-block',
+      hbs`{{#async-await @promise boundary=@boundary useTestWaiters=false as |value|}}<p>{{value}}</p>{{/async-await}}`
+    );
+
+    await render(hbs`
+      {{#async-boundary as |boundary|}}
+        <NestedBlock @promise={{this.promiseA}} @boundary={{boundary}} />
+        <NestedBlock @promise={{this.promiseB}} @boundary={{boundary}} />
+      {{else}}
+        <span>loading</span>
+      {{/async-boundary}}
+    `);
+
+    this.a.resolve('a');
+    await settled();
+
+    assert.dom('p').doesNotExist();
+
+    this.b.resolve('b');
+    await settled();
+
+    assert.dom().hasText('a b');
+  });
+
+  test('it reveals the blocks in document order', async function (assert) {
+    await render(hbs`
+      {{#async-boundary reveal="in-order" as |boundary|}}
+        {{#async-await this.promiseA boundary=boundary useTestWaiters=false as |value|}}<p>{{value}}</p>{{/async-await}}
+        {{#async-await this.promiseB boundary=boundary useTestWaiters=false as |value|}}<p>{{value}}</p>{{/async-await}}
+        {{#async-await this.promiseC boundary=boundary useTestWaiters=false as |value|}}<p>{{value}}</p>{{/async-await}}
+      {{else}}
+        <span>loading</span>
+      {{/async-boundary}}
+    `);
+
+    this.b.resolve('b');
+    await settled();
+
+    assert.dom('p').doesNotExist();
+    assert.dom('span').exists();
+
+    this.a.resolve('a');
+    await settled();
+
+    assert.dom('p').exists({ count: 2 });
+    assert.dom().hasText('a b loading');
+
+    this.c.resolve('c');
+    await settled();
+
+    assert.dom().hasText('a b c');
+    assert.dom('span').doesNotExist();
+  });
+
+  test('it does not wait for blocks that are not required', async function (assert) {
+    await render(hbs`
+      {{#async-boundary as |boundary|}}
+        {{#async-await this.promiseA boundary=boundary useTestWaiters=false as |value|}}
+          <p>{{value}}</p>
+        {{/async-await}}
+        {{#async-await this.promiseB boundary=boundary boundaryRequired=false useTestWaiters=false as |value|}}
+          <p>{{value}}</p>
+        {{else}}
+          <p>pending b</p>
+        {{/async-await}}
+      {{else}}
+        <span>loading</span>
+      {{/async-boundary}}
+    `);
+
+    this.b.resolve('b');
+    await settled();
+
+    assert.dom().hasText('loading');
+
+    this.b = RSVP.defer();
+    this.set('promiseB', this.b.promise);
+    this.a.resolve('a');
+    await settled();
+
+    assert.dom().hasText('a pending b');
+  });
+
+  test('it counts rejected blocks as settled', async function (assert) {
+    await render(hbs`
+      <AsyncBoundary>
+        <:default as |boundary|>
+          <AsyncAwait @promise={{this.promiseA}} @boundary={{boundary}} @onReject={{null}} @useTestWaiters={{false}}>
+            <:resolved as |value|><p>{{value}}</p></:resolved>
+            <:rejected as |reason|><p>rejected {{reason}}</p></:rejected>
+          </AsyncAwait>
+          <AsyncAwait @promise={{this.promiseB}} @boundary={{boundary}} @useTestWaiters={{false}}>
+            <:resolved as |value|><p>{{value}}</p></:resolved>
+          </AsyncAwait>
+        </:default>
+        <:fallback><span>loading</span></:fallback>
+      </AsyncBoundary>
+    `);
+
+    this.a.reject('a');
+    this.b.resolve('b');
+    await settled();
+
+    assert.dom().hasText('rejected a b');
+  });
+
+  test('it does not show the fallback for known values', async function (assert) {
+    await render(hbs`
+      {{#async-boundary as |boundary|}}
+        {{#async-await "a" boundary=boundary as |value|}}<p>{{value}}</p>{{/async-await}}
+        {{#async-await (array "b" "c") boundary=boundary as |values|}}
+          {{#each values as |value|}}<p>{{value}}</p>{{/each}}
+        {{/async-await}}
+      {{else}}
+        <span>loading</span>
+      {{/async-boundary}}
+    `);
+
+    assert.dom('p').exists({ count: 3 });
+    assert.dom('span').doesNotExist();
+  });
+
+  test('it does not show the fallback without any blocks', async function (assert) {
+    await render(hbs`
+      {{#async-boundary}}
+        <p>static</p>
+      {{else}}
+        <span>loading</span>
+      {{/async-boundary}}
+    `);
+
+    assert.dom().hasText('static');
+  });
+
+  test('it stops waiting for blocks that are removed', async function (assert) {
+    this.set('showB', true);
+
+    await render(hbs`
+      {{#async-boundary as |boundary|}}
+        {{#async-await this.promiseA boundary=boundary useTestWaiters=false as |value|}}<p>{{value}}</p>{{/async-await}}
+        {{#if this.showB}}
+          {{#async-await this.promiseB boundary=boundary useTestWaiters=false as |value|}}<p>{{value}}</p>{{/async-await}}
+        {{/if}}
+      {{else}}
+        <span>loading</span>
+      {{/async-boundary}}
+    `);
+
+    this.a.resolve('a');
+    await settled();
+
+    assert.dom().hasText('loading');
+
+    this.set('showB', false);
+    await settled();
+
+    assert.dom().hasText('a');
+  });
+
+  test('it does not show the fallback again once the blocks are revealed', async function (assert) {
+    this.set('showB', false);
+
+    await render(hbs`
+      {{#async-boundary as |boundary|}}
+        {{#async-await this.promiseA boundary=boundary useTestWaiters=false as |value|}}
+          <p>{{value}}</p>
+        {{else}}
+          <p>pending a</p>
+        {{/async-await}}
+        {{#if this.showB}}
+          {{#async-await this.promiseB boundary=boundary useTestWaiters=false as |value|}}
+            <p>{{value}}</p>
+          {{else}}
+            <p>pending b</p>
+          {{/async-await}}
+        {{/if}}
+      {{else}}
+        <span>loading</span>
+      {{/async-boundary}}
+    `);
+
+    this.a.resolve('a');
+    await settled();
+
+    assert.dom().hasText('a');
+
+    this.a = RSVP.defer();
+    this.setProperties({ promiseA: this.a.promise, showB: true });
+    await settled();
+
+    assert.dom().hasText('pending a pending b');
+  });
+
+  test('it asserts that the reveal order is valid', async function (assert) {
+    assert.expect(1);
+
+    setupOnerror((error) => {
+      assert.ok(
+        error.message.includes(
+          '`backwards` is not a valid reveal order for <AsyncBoundary>'
+        )
+      );
+    });
+
+    await render(hbs`
+      {{#async-boundary reveal="backwards"}}{{/async-boundary}}
+    `);
+
+    resetOnerror();
+  });
+});
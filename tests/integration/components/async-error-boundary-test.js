@@ -0,0 +1,188 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import { click, render, settled } from '@ember/test-helpers';
+import hbs from 'htmlbars-inline-precompile';
+import Ember from 'ember';
+import RSVP from 'rsvp';
+
+module('Integration | Component | async-error-boundary', function (hooks) {
+  setupRenderingTest(hooks);
+
+  let _onerror;
+
+  hooks.beforeEach(function (assert) {
+    _onerror = Ember.onerror;
+
+    Ember.onerror = (error) => {
+      assert.ok(false, `Unexpected error: ${error}`);
+    };
+  });
+
+  hooks.afterEach(function () {
+    Ember.onerror = _onerror;
+  });
+
+  test('it renders the error block when a nested block rejects', async function (assert) {
+    let a = RSVP.defer();
+    let b = RSVP.defer();
+
+    this.setProperties({ a: a.promise, b: b.promise });
+
+    await render(hbs`
+      <h1>title</h1>
+      <AsyncErrorBoundary>
+        <:default as |errorBoundary|>
+          {{#async-await this.a errorBoundary=errorBoundary useTestWaiters=false as |value|}}
+            <p>{{value}}</p>
+          {{/async-await}}
+          {{#async-await this.b errorBoundary=errorBoundary useTestWaiters=false as |value|}}
+            <p>{{value}}</p>
+          {{/async-await}}
+        </:default>
+        <:error as |reason|>
+          <p>failed: {{reason.message}}</p>
+        </:error>
+      </AsyncErrorBoundary>
+    `);
+
+    a.resolve('a');
+    await settled();
+
+    assert.dom('p').hasText('a');
+
+    b.reject(new Error('b'));
+    await settled();
+
+    assert.dom('h1').hasText('title');
+    assert.dom('p').exists({ count: 1 });
+    assert.dom('p').hasText('failed: b');
+  });
+
+  test('it renders the block again when it is reset', async function (assert) {
+    let calls = 0;
+    let resets = 0;
+
+    this.set('fetch', () => {
+      calls++;
+      return calls === 1 ? RSVP.reject('not yet') : RSVP.resolve('value');
+    });
+    this.set('onReset', () => resets++);
+
+    await render(hbs`
+      <AsyncErrorBoundary @onReset={{this.onReset}}>
+        <:default as |errorBoundary|>
+          {{#async-await this.fetch errorBoundary=errorBoundary as |value|}}
+            <p>{{value}}</p>
+          {{/async-await}}
+        </:default>
+        <:error as |reason reset|>
+          <p>failed: {{reason}}</p>
+          <button type="button" {{on "click" reset}}>retry</button>
+        </:error>
+      </AsyncErrorBoundary>
+    `);
+
+    assert.dom('p').hasText('failed: not yet');
+    assert.equal(resets, 0);
+
+    await click('button');
+
+    assert.dom('p').hasText('value');
+    assert.equal(calls, 2);
+    assert.equal(resets, 1);
+  });
+
+  test('it catches rejections from blocks in nested components', async function (assert) {
+    this.owner.register(
+      'template:components/nested-block',
+      hbs`{{#async-await @promise errorBoundary=@errorBoundary as |value|}}<p>{{value}}</p>{{/async-await}}`
+    );
+
+    let promise = RSVP.reject('nested');
+    promise.catch(() => {});
+    this.set('promise', promise);
+
+    await render(hbs`
+      <AsyncErrorBoundary>
+        <:default as |errorBoundary|>
+          <NestedBlock @promise={{this.promise}} @errorBoundary={{errorBoundary}} />
+        </:default>
+        <:error as |reason|><p>failed: {{reason}}</p></:error>
+      </AsyncErrorBoundary>
+    `);
+
+    assert.dom('p').hasText('failed: nested');
+  });
+
+  test('it accepts the error block as the inverse block', async function (assert) {
+    let promise = RSVP.reject('rejected');
+    promise.catch(() => {});
+    this.set('promise', promise);
+
+    await render(hbs`
+      {{#async-error-boundary as |errorBoundary|}}
+        {{#async-await this.promise errorBoundary=errorBoundary as |value|}}
+          <p>{{value}}</p>
+        {{/async-await}}
+      {{else}}
+        <p>failed</p>
+      {{/async-error-boundary}}
+    `);
+
+    assert.dom('p').hasText('failed');
+  });
+
+  test('it does not catch rejections that are handled with onReject', async function (assert) {
+    let reasons = [];
+    let promise = RSVP.reject('rejected');
+    promise.catch(() => {});
+
+    this.set('promise', promise);
+    this.set('onReject', (reason) => reasons.push(reason));
+
+    await render(hbs`
+      <AsyncErrorBoundary>
+        <:default as |errorBoundary|>
+          {{#async-await this.promise errorBoundary=errorBoundary onReject=this.onReject}}
+            resolved
+          {{else}}
+            pending
+          {{/async-await}}
+        </:default>
+        <:error>failed</:error>
+      </AsyncErrorBoundary>
+    `);
+
+    assert.dom().hasText('pending');
+    assert.deepEqual(reasons, ['rejected']);
+  });
+
+  test('it calls onError with the first rejection', async function (assert) {
+    let errors = [];
+    let a = RSVP.defer();
+    let b = RSVP.defer();
+
+    this.setProperties({
+      a: a.promise,
+      b: b.promise,
+      onError: (reason) => errors.push(reason),
+    });
+
+    await render(hbs`
+      <AsyncErrorBoundary @onError={{this.onError}}>
+        <:default as |errorBoundary|>
+          {{#async-await this.a errorBoundary=errorBoundary useTestWaiters=false}}a{{/async-await}}
+          {{#async-await this.b errorBoundary=errorBoundary useTestWaiters=false}}b{{/async-await}}
+        </:default>
+        <:error as |reason|>failed: {{reason}}</:error>
+      </AsyncErrorBoundary>
+    `);
+
+    a.reject('a');
+    b.reject('b');
+    await settled();
+
+    assert.dom().hasText('failed: a');
+    assert.deepEqual(errors, ['a']);
+  });
+});
@@ -0,0 +1,333 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import {
+  render,
+  resetOnerror,
+  settled,
+  setupOnerror,
+} from '@ember/test-helpers';
+import { helper } from '@ember/component/helper';
+import hbs from 'htmlbars-inline-precompile';
+import Ember from 'ember';
+import RSVP from 'rsvp';
+import AsyncAwaitConfigService from 'ember-async-await-helper/services/async-await-config';
+import { HttpError } from 'ember-async-await-helper/errors';
+import { responseFor } from '../../helpers/response-for';
+
+module('Integration | Helper | async-value', function (hooks) {
+  setupRenderingTest(hooks);
+
+  test('it can render non-promise values', async function (assert) {
+    await render(hbs`resolved {{async-value "plain value"}}`);
+
+    assert.dom().hasText('resolved plain value');
+  });
+
+  test('it passes the classified reason to onReject', async function (assert) {
+    let reasons = [];
+    let promise = RSVP.reject(responseFor(500, 'Internal Server Error'));
+
+    // This silences RSVP's "unhandled rejection" errors
+    promise.catch(() => {});
+
+    this.set('promise', promise);
+    this.set('onReject', (reason) => reasons.push(reason));
+
+    await render(hbs`{{async-value this.promise onReject=this.onReject}}`);
+
+    assert.equal(reasons.length, 1);
+    assert.ok(reasons[0] instanceof HttpError);
+    assert.equal(reasons[0].status, 500);
+  });
+
+  test('it returns known values without the placeholder', async function (assert) {
+    let computed = [];
+
+    this.owner.register(
+      'helper:capture',
+      helper(function ([value]) {
+        computed.push(value);
+        return value;
+      })
+    );
+    this.set('promise', RSVP.resolve('value'));
+
+    await render(
+      hbs`{{capture (async-value this.promise placeholder="pending")}}`
+    );
+
+    assert.dom().hasText('value');
+    assert.deepEqual(computed, ['value']);
+  });
+
+  test('it returns null and undefined without the placeholder', async function (assert) {
+    let computed = [];
+
+    this.owner.register(
+      'helper:capture',
+      helper(function ([value]) {
+        computed.push(value);
+        return value;
+      })
+    );
+
+    await render(hbs`
+      {{capture (async-value null placeholder="pending")}}
+      {{capture (async-value this.missing placeholder="pending")}}
+    `);
+
+    assert.dom().hasText('');
+    assert.deepEqual(computed, [null, undefined]);
+  });
+
+  test('it uses the app-wide defaults for options that are not passed', async function (assert) {
+    let reasons = [];
+
+    this.owner.register(
+      'service:async-await-config',
+      class extends AsyncAwaitConfigService {
+        arrayMode = 'race';
+        onReject = (reason, source) => reasons.push(`${source}: ${reason}`);
+      }
+    );
+
+    this.set('promiseA', RSVP.defer().promise);
+    let rejected = RSVP.reject('rejected');
+
+    // This silences RSVP's "unhandled rejection" errors
+    rejected.catch(() => {});
+
+    this.set('promiseB', rejected);
+
+    await render(hbs`{{async-value (array this.promiseA this.promiseB)}}`);
+
+    assert.deepEqual(reasons, ['{{async-value}}: rejected']);
+  });
+
+  test('it applies the app-wide default mode for the shape of the argument', async function (assert) {
+    this.owner.register(
+      'service:async-await-config',
+      class extends AsyncAwaitConfigService {
+        arrayMode = 'race';
+        hashMode = 'progressive';
+      }
+    );
+
+    this.setProperties({
+      promise: RSVP.resolve('value'),
+      pending: RSVP.defer().promise,
+    });
+
+    await render(hbs`
+      {{async-value this.promise}}
+      {{async-value (array this.promise this.pending)}}
+      {{#let (async-value (hash a=this.promise b="b")) as |h|}}
+        {{h.a}} {{h.b}}
+      {{/let}}
+    `);
+
+    assert.dom().hasText('value value value b');
+  });
+
+  function ItBehavesLikePromises(label, Promise) {
+    let _onerror;
+
+    function makePromise() {
+      let resolve, reject;
+
+      let promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+
+      return { promise, resolve, reject };
+    }
+
+    module(label, function (hooks) {
+      hooks.beforeEach(function (assert) {
+        _onerror = Ember.onerror;
+
+        Ember.onerror = (error) => {
+          assert.ok(false, `Unexpected error: ${error}`);
+        };
+      });
+
+      hooks.afterEach(function () {
+        Ember.onerror = _onerror;
+      });
+
+      test('it can render resolved promise', async function (assert) {
+        this.set('promise', Promise.resolve('value'));
+
+        await render(hbs`resolved {{async-value this.promise}}`);
+
+        assert.dom().hasText('resolved value');
+      });
+
+      test('it renders the placeholder while the promise is pending', async function (assert) {
+        let { promise, resolve } = makePromise();
+
+        this.set('promise', promise);
+
+        await render(
+          hbs`<span title={{async-value this.promise placeholder="pending..."}}></span>`
+        );
+
+        assert.dom('span').hasAttribute('title', 'pending...');
+
+        resolve('value');
+        await settled();
+
+        assert.dom('span').hasAttribute('title', 'value');
+      });
+
+      test('it can take a hash of promises as arguments', async function (assert) {
+        this.set('promiseA', Promise.resolve('valueA'));
+        this.set('valueB', 'valueB');
+
+        await render(hbs`
+          {{#let (async-value (hash a=this.promiseA b=this.valueB)) as |h|}}
+            resolved {{h.a}}, {{h.b}}
+          {{/let}}
+        `);
+
+        assert.dom().hasText('resolved valueA, valueB');
+      });
+
+      test('it can take an array of promises as arguments', async function (assert) {
+        this.set('promiseA', Promise.resolve('valueA'));
+        this.set('promiseB', Promise.resolve('valueB'));
+
+        await render(hbs`
+          {{#each (async-value (array this.promiseA this.promiseB)) as |value|}}
+            {{value}}
+          {{/each}}
+        `);
+
+        assert.dom().hasText('valueA valueB');
+      });
+
+      test('it accepts a mode for arrays and hashes', async function (assert) {
+        this.set('promiseA', makePromise().promise);
+        this.set('promiseB', Promise.resolve('valueB'));
+
+        await render(
+          hbs`{{async-value (array this.promiseA this.promiseB) mode="race"}}`
+        );
+
+        assert.dom().hasText('valueB');
+      });
+
+      test('it does not support progressive mode', async function (assert) {
+        this.set('promiseA', Promise.resolve('valueA'));
+
+        setupOnerror((error) => {
+          assert.ok(
+            error.message.includes('`progressive` mode is not supported'),
+            error.message
+          );
+        });
+
+        await render(
+          hbs`{{async-value (hash a=this.promiseA) mode="progressive"}}`
+        );
+
+        resetOnerror();
+      });
+
+      test('it calls onReject and keeps the placeholder when the promise rejects', async function (assert) {
+        let { promise, reject } = makePromise();
+
+        this.set('promise', promise);
+
+        let called = 0;
+
+        this.set('onReject', (reason) => {
+          called++;
+          assert.equal(reason, 'promise rejected');
+        });
+
+        await render(
+          hbs`{{async-value this.promise placeholder="pending..." onReject=this.onReject}}`
+        );
+
+        reject('promise rejected');
+        await settled();
+
+        assert.dom().hasText('pending...');
+        assert.equal(called, 1);
+      });
+
+      test('it calls Ember.onerror by default when the promise rejects', async function (assert) {
+        let { promise, reject } = makePromise();
+
+        this.set('promise', promise);
+
+        let called = 0;
+
+        Ember.onerror = (error) => {
+          called++;
+          assert.equal(
+            error.message,
+            'Unhandled promise rejection in {{async-value}}: promise rejected'
+          );
+          assert.equal(error.reason, 'promise rejected');
+        };
+
+        await render(hbs`{{async-value this.promise}}`);
+
+        reject('promise rejected');
+        await settled();
+
+        assert.equal(called, 1);
+      });
+
+      test('it ignores promises that settle after the argument changes', async function (assert) {
+        let { promise: first, resolve: resolveFirst } = makePromise();
+        let { promise: second, resolve: resolveSecond } = makePromise();
+
+        this.set('promise', first);
+
+        await render(
+          hbs`{{async-value this.promise placeholder="pending..."}}`
+        );
+
+        this.set('promise', second);
+        resolveFirst('first');
+        await settled();
+
+        assert.dom().hasText('pending...');
+
+        resolveSecond('second');
+        await settled();
+
+        assert.dom().hasText('second');
+      });
+
+      test('does nothing when the promise settles if the helper has been destroyed', async function (assert) {
+        let { promise, resolve } = makePromise();
+
+        this.set('promise', promise);
+        this.set('shouldShow', true);
+
+        await render(hbs`
+          {{#if this.shouldShow}}
+            {{async-value this.promise placeholder="pending..."}}
+          {{/if}}
+        `);
+
+        assert.dom().hasText('pending...');
+
+        this.set('shouldShow', false);
+
+        resolve('value');
+        await settled();
+
+        assert.dom().hasText('');
+      });
+    });
+  }
+
+  ItBehavesLikePromises('native Promise', Promise);
+  ItBehavesLikePromises('RSVP Promise', RSVP.Promise);
+});
@@ -0,0 +1,163 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import { render, settled } from '@ember/test-helpers';
+import { helper } from '@ember/component/helper';
+import hbs from 'htmlbars-inline-precompile';
+import Route from '@ember/routing/route';
+import RSVP from 'rsvp';
+import { awaitModel, deferred } from 'ember-async-await-helper/route';
+
+module('Integration | awaitModel', function (hooks) {
+  setupRenderingTest(hooks);
+
+  function routeFor(owner, model) {
+    owner.register(
+      'route:post',
+      awaitModel(
+        class extends Route {
+          model() {
+            return model();
+          }
+        }
+      )
+    );
+
+    return owner.lookup('route:post');
+  }
+
+  test('it waits for the keys that are not deferred', async function (assert) {
+    let post = RSVP.defer();
+    let comments = RSVP.defer();
+    let route = routeFor(this.owner, () => ({
+      post: post.promise,
+      title: 'Hello',
+      comments: deferred(comments.promise),
+    }));
+
+    let isResolved = false;
+    let promise = route.model({}).then((model) => {
+      isResolved = true;
+      return model;
+    });
+
+    await settled();
+    assert.false(isResolved, 'it waits for the post');
+
+    post.resolve('post');
+
+    let model = await promise;
+
+    assert.deepEqual(Object.keys(model), ['post', 'title', 'comments']);
+    assert.equal(model.post, 'post');
+    assert.equal(model.title, 'Hello');
+    assert.strictEqual(model.comments, comments.promise);
+  });
+
+  test('it accepts a model hook that returns a promise', async function (assert) {
+    let comments = new Promise(() => {});
+    let route = routeFor(this.owner, async () => ({
+      post: 'post',
+      comments: deferred(comments),
+    }));
+
+    let model = await route.model({});
+
+    assert.equal(model.post, 'post');
+    assert.strictEqual(model.comments, comments);
+  });
+
+  test('it rejects when a key that is not deferred rejects', async function (assert) {
+    let route = routeFor(this.owner, () => ({
+      post: RSVP.reject('not found'),
+      comments: deferred(new Promise(() => {})),
+    }));
+
+    try {
+      await route.model({});
+      assert.ok(false, 'should have rejected');
+    } catch (reason) {
+      assert.equal(reason, 'not found');
+    }
+  });
+
+  test('it leaves models other than hashes untouched', async function (assert) {
+    class Post {
+      title = 'Hello';
+    }
+
+    let post = new Post();
+    let posts = [RSVP.resolve(post)];
+    let model = post;
+    let route = routeFor(this.owner, () => model);
+
+    assert.strictEqual(await route.model({}), post);
+
+    model = posts;
+
+    assert.strictEqual(await route.model({}), posts);
+  });
+
+  test('it hands the deferred promises to {{#async-await}}', async function (assert) {
+    let comments = RSVP.defer();
+    let route = routeFor(this.owner, () => ({
+      post: RSVP.resolve('Hello'),
+      comments: deferred(comments.promise),
+    }));
+
+    this.set('model', await route.model({}));
+
+    await render(hbs`
+      <h1>{{this.model.post}}</h1>
+      {{#async-await this.model.comments useTestWaiters=false as |comments|}}
+        <p>{{comments}}</p>
+      {{else}}
+        <p>loading comments</p>
+      {{/async-await}}
+    `);
+
+    assert.dom('h1').hasText('Hello');
+    assert.dom('p').hasText('loading comments');
+
+    comments.resolve('2 comments');
+    await settled();
+
+    assert.dom('p').hasText('2 comments');
+  });
+
+  test('it renders the deferred promises that have already resolved right away', async function (assert) {
+    let post = RSVP.defer();
+    let comments = Promise.resolve('2 comments');
+    let route = routeFor(this.owner, () => ({
+      post: post.promise,
+      comments: deferred(comments),
+    }));
+
+    let promise = route.model({});
+
+    await comments;
+    post.resolve('Hello');
+
+    this.set('model', await promise);
+
+    let pendingRenders = 0;
+
+    this.owner.register(
+      'helper:pending',
+      helper(function () {
+        pendingRenders++;
+        return 'loading comments';
+      })
+    );
+
+    await render(hbs`
+      {{#async-await this.model.comments as |comments|}}
+        <p>{{comments}}</p>
+      {{else}}
+        <p>{{pending}}</p>
+      {{/async-await}}
+    `);
+
+    assert.dom('p').hasText('2 comments');
+    assert.equal(pendingRenders, 0);
+  });
+});
@@ -0,0 +1,191 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from 'ember-qunit';
+import { render, settled } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import {
+  createControlledPromise,
+  getAsyncAwaitState,
+  waitForAsyncAwait,
+} from 'ember-async-await-helper/test-support';
+
+module('Integration | test-support', function (hooks) {
+  setupRenderingTest(hooks);
+
+  module('createControlledPromise', function () {
+    test('it resolves the promise', async function (assert) {
+      let controlled = createControlledPromise();
+
+      assert.false(controlled.isSettled);
+
+      controlled.resolve('value');
+      controlled.reject(new Error('ignored'));
+
+      assert.true(controlled.isSettled);
+      assert.equal(await controlled.promise, 'value');
+    });
+
+    test('it rejects the promise', async function (assert) {
+      let controlled = createControlledPromise();
+      let error = new Error('nope');
+
+      controlled.reject(error);
+
+      assert.true(controlled.isSettled);
+
+      try {
+        await controlled.promise;
+        assert.ok(false, 'should have rejected');
+      } catch (reason) {
+        assert.strictEqual(reason, error);
+      }
+    });
+
+    test('with `waiter: true`, settled() waits for the promise', async function (assert) {
+      let { promise, resolve } = createControlledPromise({ waiter: true });
+
+      this.set('promise', promise);
+
+      setTimeout(() => resolve('value'), 20);
+
+      await render(hbs`
+        <span data-test-value>
+          {{#async-await this.promise as |value|}}{{value}}{{/async-await}}
+        </span>
+      `);
+
+      assert.dom('[data-test-value]').hasText('value');
+      assert.asyncAwaitState('[data-test-value]', 'resolved');
+    });
+  });
+
+  module('getAsyncAwaitState', function () {
+    test('it finds the component by an element it renders or contains it', async function (assert) {
+      let first = createControlledPromise();
+      let second = createControlledPromise();
+
+      this.setProperties({ first: first.promise, second: second.promise });
+
+      await render(hbs`
+        <div data-test-first>
+          {{#async-await this.first useTestWaiters=false as |value|}}
+            <span data-test-first-value>{{value}}</span>
+          {{/async-await}}
+        </div>
+        <div data-test-second>
+          {{#async-await this.second useTestWaiters=false as |value|}}
+            <span data-test-second-value>{{value}}</span>
+          {{/async-await}}
+        </div>
+      `);
+
+      assert.equal(getAsyncAwaitState().awaited, first.promise);
+      assert.equal(getAsyncAwaitState('[data-test-first]').isPending, true);
+      assert.equal(
+        getAsyncAwaitState('[data-test-second]').awaited,
+        second.promise
+      );
+
+      first.resolve('first');
+      second.resolve('second');
+      await settled();
+
+      assert.equal(
+        getAsyncAwaitState('[data-test-first-value]').value,
+        'first'
+      );
+      assert.equal(
+        getAsyncAwaitState('[data-test-second-value]').value,
+        'second'
+      );
+      assert.strictEqual(getAsyncAwaitState('[data-test-missing]'), undefined);
+    });
+
+    test('it finds the innermost of nested components', async function (assert) {
+      let outer = createControlledPromise();
+      let inner = createControlledPromise();
+
+      this.setProperties({ outer: outer.promise, inner: inner.promise });
+
+      await render(hbs`
+        {{#async-await this.outer useTestWaiters=false}}
+          <div data-test-outer>
+            {{#async-await this.inner useTestWaiters=false as |value|}}
+              <span data-test-inner>{{value}}</span>
+            {{/async-await}}
+          </div>
+        {{/async-await}}
+      `);
+
+      outer.resolve();
+      await settled();
+
+      assert.asyncAwaitState('[data-test-outer]', 'pending');
+      assert.equal(
+        getAsyncAwaitState('[data-test-outer]').awaited,
+        inner.promise
+      );
+
+      inner.resolve('inner');
+      await settled();
+
+      assert.equal(
+        getAsyncAwaitState('[data-test-inner]').awaited,
+        inner.promise
+      );
+      assert.asyncAwaitState('[data-test-inner]', 'resolved');
+    });
+  });
+
+  module('waitForAsyncAwait', function () {
+    test('it waits for the component to be resolved', async function (assert) {
+      let { promise, resolve } = createControlledPromise();
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        <div data-test-container>
+          {{#async-await this.promise useTestWaiters=false as |value|}}{{value}}{{/async-await}}
+        </div>
+      `);
+
+      assert.asyncAwaitState('[data-test-container]', 'pending');
+
+      setTimeout(() => resolve('value'), 20);
+      await waitForAsyncAwait('[data-test-container]', 'resolved');
+
+      assert.dom('[data-test-container]').hasText('value');
+    });
+
+    test('it waits for the component to be rejected', async function (assert) {
+      let { promise, reject } = createControlledPromise();
+
+      this.set('promise', promise);
+
+      await render(hbs`
+        <div data-test-container>
+          {{#async-await this.promise onReject=null useTestWaiters=false}}
+            resolved
+          {{else}}
+            pending
+          {{/async-await}}
+        </div>
+      `);
+
+      setTimeout(() => reject(new Error('nope')), 20);
+      await waitForAsyncAwait('[data-test-container]', 'rejected');
+
+      assert.asyncAwaitState('[data-test-container]', 'rejected');
+      assert.equal(
+        getAsyncAwaitState('[data-test-container]').reason.message,
+        'nope'
+      );
+    });
+
+    test('it throws for an unknown state', function (assert) {
+      assert.throws(
+        () => waitForAsyncAwait('[data-test-container]', 'done'),
+        /`done` is not a valid state/
+      );
+    });
+  });
+});
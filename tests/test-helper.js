@@ -4,9 +4,11 @@ import * as QUnit from 'qunit';
 import { setApplication } from '@ember/test-helpers';
 import { setup } from 'qunit-dom';
 import { start } from 'ember-qunit';
+import { setupAsyncAwaitAssertions } from 'ember-async-await-helper/test-support';
 
 setApplication(Application.create(config.APP));
 
 setup(QUnit.assert);
+setupAsyncAwaitAssertions(QUnit.assert);
 
 start();
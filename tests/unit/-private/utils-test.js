@@ -0,0 +1,48 @@
+import { module, test } from 'qunit';
+import RSVP from 'rsvp';
+import {
+  isSameArgument,
+  peekResolved,
+} from 'ember-async-await-helper/-private/utils';
+
+module('Unit | -private | utils', function () {
+  // `peekResolved` reads the private state of RSVP promises, and stops doing
+  // so if it is not what it expects, so these fail if the RSVP version that
+  // ships with Ember changes it.
+  test('peekResolved returns the value of fulfilled RSVP promises', async function (assert) {
+    let promise = RSVP.resolve('value');
+
+    assert.deepEqual(peekResolved(promise), { value: 'value' });
+
+    let deferred = RSVP.defer();
+    deferred.resolve('later');
+    await deferred.promise;
+
+    assert.deepEqual(peekResolved(deferred.promise), { value: 'later' });
+  });
+
+  test('peekResolved does not return a value for pending or rejected RSVP promises', async function (assert) {
+    let deferred = RSVP.defer();
+
+    assert.strictEqual(peekResolved(deferred.promise), undefined);
+
+    let rejected = RSVP.reject('reason');
+    await rejected.catch(() => {});
+
+    assert.strictEqual(peekResolved(rejected), undefined);
+  });
+
+  test('isSameArgument compares arrays and hashes by their items', function (assert) {
+    let hash = (object) => Object.assign(Object.create(null), object);
+    let promise = Promise.resolve();
+
+    assert.true(isSameArgument(promise, promise));
+    assert.true(isSameArgument([promise, 'a'], [promise, 'a']));
+    assert.true(isSameArgument(hash({ a: promise }), hash({ a: promise })));
+
+    assert.false(isSameArgument(promise, Promise.resolve()));
+    assert.false(isSameArgument([promise], [promise, 'a']));
+    assert.false(isSameArgument(hash({ a: promise }), hash({ b: promise })));
+    assert.false(isSameArgument({ a: promise }, { a: promise }));
+  });
+});
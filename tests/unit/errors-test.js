@@ -0,0 +1,57 @@
+import { module, test } from 'qunit';
+import {
+  AbortError,
+  HttpError,
+  NetworkError,
+  TimeoutError,
+  classifyReason,
+} from 'ember-async-await-helper/errors';
+import { responseFor } from '../helpers/response-for';
+
+module('Unit | errors', function () {
+  test('it classifies aborts', function (assert) {
+    let abort = new Error('The user aborted a request.');
+    abort.name = 'AbortError';
+
+    let error = classifyReason(abort);
+
+    assert.ok(error instanceof AbortError);
+    assert.equal(error.message, 'The user aborted a request.');
+    assert.strictEqual(error.reason, abort);
+  });
+
+  test('it classifies responses', function (assert) {
+    let response = responseFor(404, 'Not Found');
+    let error = classifyReason(response);
+
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 404);
+    assert.equal(error.statusText, 'Not Found');
+    assert.strictEqual(error.response, response);
+    assert.equal(`${error}`, 'HttpError: HTTP 404 Not Found');
+  });
+
+  test('it classifies network errors', function (assert) {
+    let failure = new TypeError('Failed to fetch');
+    let error = classifyReason(failure);
+
+    assert.ok(error instanceof NetworkError);
+    assert.equal(error.message, 'Failed to fetch');
+    assert.strictEqual(error.reason, failure);
+  });
+
+  test('it leaves other reasons as-is', function (assert) {
+    let timeout = new TimeoutError(10);
+    let typeError = new TypeError('undefined is not a function');
+    let object = { status: 'failed' };
+    let classified = new HttpError(responseFor(500, 'Internal Server Error'));
+
+    assert.strictEqual(classifyReason(timeout), timeout);
+    assert.strictEqual(classifyReason(typeError), typeError);
+    assert.strictEqual(classifyReason(object), object);
+    assert.strictEqual(classifyReason(classified), classified);
+    assert.strictEqual(classifyReason('reason'), 'reason');
+    assert.strictEqual(classifyReason(null), null);
+    assert.strictEqual(classifyReason(undefined), undefined);
+  });
+});
@@ -0,0 +1,127 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import Service from '@ember/service';
+
+module('Unit | Service | async-await-cache', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.cache = this.owner.lookup('service:async-await-cache');
+  });
+
+  test('it stores and looks up values', function (assert) {
+    assert.strictEqual(this.cache.lookup('key'), undefined);
+
+    this.cache.store('key', undefined);
+
+    assert.deepEqual(this.cache.lookup('key'), {
+      value: undefined,
+      expiresAt: null,
+    });
+  });
+
+  test('it expires values after their ttl', async function (assert) {
+    this.cache.store('short', 'value', 10);
+    this.cache.store('long', 'value', 10000);
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.strictEqual(this.cache.lookup('short'), undefined);
+    assert.equal(this.cache.lookup('long').value, 'value');
+  });
+
+  test('it defaults to its own ttl', async function (assert) {
+    this.cache.ttl = 10;
+    this.cache.store('key', 'value');
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.strictEqual(this.cache.lookup('key'), undefined);
+  });
+
+  test('it can invalidate values', function (assert) {
+    this.cache.store('a', 'value');
+    this.cache.store('b', 'value');
+
+    this.cache.invalidate('a');
+
+    assert.strictEqual(this.cache.lookup('a'), undefined);
+    assert.equal(this.cache.lookup('b').value, 'value');
+
+    this.cache.clear();
+
+    assert.strictEqual(this.cache.lookup('b'), undefined);
+  });
+
+  module('FastBoot', function (hooks) {
+    let shoebox;
+
+    hooks.beforeEach(function () {
+      shoebox = {
+        values: {},
+        put(key, value) {
+          this.values[key] = JSON.parse(JSON.stringify(value));
+        },
+        retrieve(key) {
+          return this.values[key];
+        },
+      };
+    });
+
+    function setupFastBoot(owner, isFastBoot) {
+      owner.register(
+        'service:fastboot',
+        class extends Service {
+          isFastBoot = isFastBoot;
+          shoebox = shoebox;
+        }
+      );
+
+      return owner.factoryFor('service:async-await-cache').create();
+    }
+
+    test('it puts the values for string keys into the shoebox', function (assert) {
+      let cache = setupFastBoot(this.owner, true);
+
+      cache.store('users', ['Tomster']);
+      cache.store('posts', ['Hello'], 1000);
+      cache.store({}, 'not serialized');
+
+      let serialized = shoebox.values['ember-async-await-helper'];
+
+      assert.deepEqual(Object.keys(serialized), ['users', 'posts']);
+      assert.deepEqual(serialized.users, {
+        value: ['Tomster'],
+        expiresAt: null,
+      });
+      assert.equal(typeof serialized.posts.expiresAt, 'number');
+
+      cache.invalidate('users');
+
+      assert.deepEqual(
+        Object.keys(shoebox.values['ember-async-await-helper']),
+        ['posts']
+      );
+    });
+
+    test('it restores the values from the shoebox in the browser', function (assert) {
+      shoebox.values['ember-async-await-helper'] = {
+        users: { value: ['Tomster'], expiresAt: null },
+        expired: { value: 'stale', expiresAt: Date.now() - 1 },
+      };
+
+      let cache = setupFastBoot(this.owner, false);
+
+      assert.deepEqual(cache.lookup('users').value, ['Tomster']);
+      assert.strictEqual(cache.lookup('expired'), undefined);
+
+      cache.store('posts', ['Hello']);
+
+      assert.deepEqual(
+        Object.keys(shoebox.values['ember-async-await-helper']),
+        ['users', 'expired'],
+        'it does not write to the shoebox in the browser'
+      );
+    });
+  });
+});
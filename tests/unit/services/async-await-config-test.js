@@ -0,0 +1,102 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import Ember from 'ember';
+
+module('Unit | Service | async-await-config', function (hooks) {
+  setupTest(hooks);
+
+  function setConfig(owner, config) {
+    let environment = owner.resolveRegistration('config:environment');
+
+    owner.unregister('config:environment');
+    owner.register(
+      'config:environment',
+      { ...environment, 'ember-async-await-helper': config },
+      { instantiate: false }
+    );
+  }
+
+  test('it has defaults', function (assert) {
+    let config = this.owner.lookup('service:async-await-config');
+
+    assert.equal(config.arrayMode, 'all');
+    assert.equal(config.hashMode, 'all');
+    assert.false(config.keepLatest);
+    assert.equal(config.retries, 0);
+    assert.equal(config.backoff, 0);
+    assert.strictEqual(config.timeout, null);
+    assert.equal(config.pendingDelay, 0);
+    assert.equal(config.minPendingDuration, 0);
+    assert.equal(
+      config.messageFor('reason', '{{#async-await}}'),
+      'Unhandled promise rejection in {{#async-await}}: reason'
+    );
+  });
+
+  test('it registers pending promises with the test waiters by default', function (assert) {
+    // The dummy app disables them in config/environment
+    setConfig(this.owner, {});
+
+    let config = this.owner.lookup('service:async-await-config');
+
+    assert.true(config.useTestWaiters);
+  });
+
+  test('it reads the defaults from config/environment', function (assert) {
+    setConfig(this.owner, {
+      pendingDelay: 200,
+      rejectionMessage: '{reason} in {source}',
+    });
+
+    let config = this.owner.lookup('service:async-await-config');
+
+    assert.equal(config.pendingDelay, 200);
+    assert.equal(config.timeout, null);
+    assert.equal(
+      config.messageFor('$& reason', '{{#async-await}}'),
+      '$& reason in {{#async-await}}'
+    );
+  });
+
+  test('it picks the default mode by the shape of the argument', function (assert) {
+    setConfig(this.owner, { arrayMode: 'allSettled', hashMode: 'hashSettled' });
+
+    let config = this.owner.lookup('service:async-await-config');
+
+    assert.equal(config.modeFor(['a']), 'allSettled');
+    assert.equal(config.modeFor({ a: 'a' }), 'hashSettled');
+  });
+
+  test('it accepts a function as the rejectionMessage', function (assert) {
+    let config = this.owner.lookup('service:async-await-config');
+
+    config.rejectionMessage = (reason, source) => `${source} failed: ${reason}`;
+
+    assert.equal(
+      config.messageFor('reason', '{{async-value}}'),
+      '{{async-value}} failed: reason'
+    );
+  });
+
+  test('its onReject reports an error with the message', function (assert) {
+    let _onerror = Ember.onerror;
+    let errors = [];
+
+    Ember.onerror = (error) => errors.push(error);
+
+    try {
+      this.owner
+        .lookup('service:async-await-config')
+        .onReject('reason', '{{#async-await}}');
+    } finally {
+      Ember.onerror = _onerror;
+    }
+
+    assert.equal(errors.length, 1);
+    assert.equal(
+      errors[0].message,
+      'Unhandled promise rejection in {{#async-await}}: reason'
+    );
+    assert.equal(errors[0].reason, 'reason');
+  });
+});